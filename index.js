@@ -24,29 +24,58 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const http = require('http');
+const childProcess = require('child_process');
 
 // Parse command line arguments  
 const args = process.argv.slice(2);
 
+// Parse the command line, then layer options: built-in defaults, config
+// file, profile, saved search (@name) and finally CLI flags
 function parseArgs() {
+  const parsed = parseCommandLine();
+  // Help doesn't read the config, so a broken config file can't hide it
+  if (!isHelpRequest(parsed)) {
+    applySettings(parsed, resolveSettings(parsed.options));
+  }
+  return parsed;
+}
+
+function isHelpRequest(parsed) {
+  return !parsed.command || parsed.command === 'help' || Boolean(parsed.options.help || parsed.options.h);
+}
+
+// Options that may be given more than once; they collect into a list
+const REPEATABLE_OPTIONS = ['set'];
+
+function parseCommandLine() {
   const parsed = {
     command: null,
     positional: [],
     options: {}
   };
+  const setOption = (key, value) => {
+    parsed.options[key] = REPEATABLE_OPTIONS.includes(key)
+      ? [].concat(parsed.options[key] || [], value)
+      : value;
+  };
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     if (arg.startsWith('-')) {
       if (arg.startsWith('--')) {
-        const [key, value] = arg.slice(2).split('=', 2);
-        if (value !== undefined) {
-          parsed.options[key] = value;
+        // Split on the first "=" only, so --set=name=value keeps its value
+        const separator = arg.indexOf('=');
+        const key = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+        if (separator !== -1) {
+          setOption(key, arg.slice(separator + 1));
         } else if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
-          parsed.options[key] = args[i + 1];
+          setOption(key, args[i + 1]);
           i++;
         } else {
-          parsed.options[key] = true;
+          setOption(key, true);
         }
       } else {
         const flag = arg.slice(1);
@@ -69,6 +98,186 @@ function parseArgs() {
   return parsed;
 }
 
+// Config files looked up in the working directory, in order
+const CONFIG_FILES = ['pandadoc.config.json', 'pandadoc.config.yaml', 'pandadoc.config.yml'];
+
+// Shared ~/.pave config files; their pandadoc: section is used
+const PAVE_CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json'];
+
+// Settings every config builds on
+const BUILTIN_DEFAULTS = {
+  token: 'pandadoc',
+  defaults: { cache: 'tmp/cache' },
+  commands: {
+    download: { format: 'summary', dir: 'tmp' },
+    'bulk-send': { 'rate-limit': 60 }
+  }
+};
+
+// Find the config: --config, PANDADOC_CONFIG, the working directory, then
+// the pandadoc: section of ~/.pave/config.yaml
+function loadConfig(configPath) {
+  configPath = configPath || process.env.PANDADOC_CONFIG;
+  if (configPath) {
+    return { file: configPath, config: loadDataFile(configPath) || {} };
+  }
+  
+  for (const file of CONFIG_FILES) {
+    if (fs.existsSync(file)) {
+      return { file, config: loadDataFile(file) || {} };
+    }
+  }
+  
+  const home = process.env.HOME || process.env.USERPROFILE;
+  for (const name of home ? PAVE_CONFIG_FILES : []) {
+    const file = path.join(home, '.pave', name);
+    if (fs.existsSync(file)) {
+      const settings = loadSharedConfigSection(file, 'pandadoc');
+      if (settings) return { file, config: settings };
+    }
+  }
+  
+  return { file: null, config: {} };
+}
+
+// One tool's section of a shared config file. Other tools' sections of a
+// YAML file are never parsed, so syntax parseYaml lacks can't break this CLI.
+function loadSharedConfigSection(file, key) {
+  if (path.extname(file).toLowerCase() === '.json') {
+    return (loadDataFile(file) || {})[key] || null;
+  }
+  
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const start = lines.findIndex(line => new RegExp(`^${key}\\s*:`).test(line));
+  if (start === -1) return null;
+  // The section ends at the next top-level key or document marker
+  let end = start + 1;
+  while (end < lines.length && !/^[^\s#]/.test(lines[end])) end++;
+  try {
+    return (parseYaml(lines.slice(start, end).join('\n')) || {})[key] || null;
+  } catch (e) {
+    throw new Error(`Could not parse the ${key}: section of ${file}: ${e.message}`);
+  }
+}
+
+// --json/--summary/--ndjson are shorthands for --format. Fold them in per
+// layer so a shorthand on the command line beats a configured format.
+function normalizeFormatOptions(options) {
+  const normalized = { ...options };
+  const shorthand = ['json', 'ndjson', 'summary'].find(format => normalized[format] === true);
+  if (shorthand && normalized.format === undefined) {
+    normalized.format = shorthand;
+  }
+  delete normalized.json;
+  delete normalized.ndjson;
+  delete normalized.summary;
+  return normalized;
+}
+
+// Resolve the config file and profile into option layers
+function resolveSettings(cliOptions) {
+  const { file, config } = loadConfig(cliOptions.config);
+  const profiles = config.profiles || {};
+  const profileName = cliOptions.profile || process.env.PANDADOC_PROFILE || config.profile || null;
+  if (profileName && !profiles[profileName]) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile '${profileName}' (${available.length ? `available: ${available.join(', ')}` : 'no profiles configured'})`);
+  }
+  
+  // PANDADOC_RATE_LIMIT sits above the built-in defaults (so it replaces the
+  // bulk-send limit) but below anything configured
+  const envLayer = process.env.PANDADOC_RATE_LIMIT ? { defaults: { 'rate-limit': process.env.PANDADOC_RATE_LIMIT } } : {};
+  const layers = [
+    BUILTIN_DEFAULTS,
+    envLayer,
+    config,
+    ...(profileName ? [profiles[profileName]] : [])
+  ];
+  
+  return {
+    file,
+    profile: profileName,
+    profiles: Object.keys(profiles),
+    token: layers.reduce((token, layer) => layer.token || token, null),
+    searches: Object.assign({}, ...layers.map(layer => layer.searches || {})),
+    layers
+  };
+}
+
+// Options a command starts from before the command line is applied
+function commandDefaults(settings, command) {
+  return Object.assign({}, ...settings.layers.map(layer => normalizeFormatOptions({
+    ...(layer.defaults || {}),
+    ...((layer.commands || {})[command] || {})
+  })));
+}
+
+// Merge the layers into parsed.options; an @name argument pulls in a saved
+// search between the config layers and the command line
+function applySettings(parsed, settings) {
+  let searchOptions = {};
+  const searchIndex = parsed.positional.findIndex(arg => arg.startsWith('@'));
+  if (searchIndex !== -1) {
+    const name = parsed.positional[searchIndex].slice(1);
+    const search = settings.searches[name];
+    if (!search) {
+      const available = Object.keys(settings.searches).map(key => `@${key}`);
+      throw new Error(`Unknown saved search '@${name}' (${available.length ? `available: ${available.join(', ')}` : 'no searches configured'})`);
+    }
+    const { command, ...options } = search;
+    if (command && command !== parsed.command) {
+      throw new Error(`Saved search '@${name}' is for '${command}', not '${parsed.command}'`);
+    }
+    parsed.positional.splice(searchIndex, 1);
+    parsed.search = name;
+    searchOptions = options;
+  }
+  
+  parsed.settings = settings;
+  // Kept for options that must not come from a config default
+  parsed.cliOptions = normalizeFormatOptions(parsed.options);
+  parsed.options = {
+    ...commandDefaults(settings, parsed.command),
+    ...normalizeFormatOptions(searchOptions),
+    ...normalizeFormatOptions(parsed.options)
+  };
+}
+
+// Flatten settings into setting/value rows for tabular formats
+function settingRows(settings, prefix = '') {
+  const rows = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      rows.push(...settingRows(value, `${prefix}${key}.`));
+    } else {
+      rows.push({ setting: `${prefix}${key}`, value });
+    }
+  }
+  return rows;
+}
+
+// Resolved settings for `config show`
+function describeSettings(settings) {
+  const commands = new Set();
+  for (const layer of settings.layers) {
+    Object.keys(layer.commands || {}).forEach(command => commands.add(command));
+  }
+  
+  const resolved = {};
+  for (const command of commands) {
+    resolved[command] = commandDefaults(settings, command);
+  }
+  return {
+    file: settings.file,
+    profile: settings.profile,
+    profiles: settings.profiles,
+    token: settings.token,
+    defaults: Object.assign({}, ...settings.layers.map(layer => normalizeFormatOptions(layer.defaults || {}))),
+    commands: resolved,
+    searches: settings.searches
+  };
+}
+
 // URL encoding function for sandbox compatibility
 function encodeFormData(data) {
   const params = [];
@@ -80,6 +289,71 @@ function encodeFormData(data) {
   return params.join('&');
 }
 
+// Parse durations like 90s, 10m, 2h, 5d (plain numbers are seconds)
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (use e.g. 30s, 10m, 2h, 5d)`);
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Math.round(parseFloat(match[1]) * units[match[2] || 's']);
+}
+
+// Ask for a yes/no confirmation on the terminal; --yes skips the prompt
+function confirmAction(question, options = {}) {
+  if (options.yes) return true;
+  if (!process.stdin.isTTY) {
+    throw new Error('Confirmation required: re-run with --yes to proceed non-interactively');
+  }
+  
+  process.stderr.write(`${question} [y/N] `);
+  const buffer = Buffer.alloc(1);
+  let answer = '';
+  while (true) {
+    let bytes;
+    try {
+      bytes = fs.readSync(0, buffer, 0, 1, null);
+    } catch (e) {
+      if (e.code === 'EAGAIN') continue;
+      throw e;
+    }
+    if (bytes === 0 || buffer[0] === 10) break;
+    answer += buffer.toString('utf8');
+  }
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Synchronous sleep - requests are blocking, so polling blocks too
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Encode parts as multipart/form-data; file parts carry a filename and Buffer value
+function encodeMultipart(parts) {
+  const boundary = `----PandaDocCLI${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+  const chunks = [];
+  for (const part of parts) {
+    let header = `--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"`;
+    if (part.filename) header += `; filename="${part.filename.replace(/"/g, '')}"`;
+    if (part.contentType) header += `\r\nContent-Type: ${part.contentType}`;
+    chunks.push(Buffer.from(`${header}\r\n\r\n`));
+    chunks.push(Buffer.isBuffer(part.value) ? part.value : Buffer.from(String(part.value)));
+    chunks.push(Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return {
+    body: Buffer.concat(chunks),
+    contentType: `multipart/form-data; boundary=${boundary}`
+  };
+}
+
+// File types accepted by the document upload endpoint
+const UPLOAD_CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.rtf': 'application/rtf',
+};
+
 // Document status values
 const DOCUMENT_STATUS = {
   DRAFT: 'document.draft',
@@ -127,18 +401,171 @@ const STATUS_MAP = {
   voided: 'document.voided',
   declined: 'document.declined',
   paid: 'document.paid',
+  uploaded: 'document.uploaded',
+  error: 'document.error',
+  waiting_approval: 'document.waiting_approval',
+  waiting_pay: 'document.waiting_pay',
+  external_review: 'document.external_review',
+};
+
+// Statuses a document cannot recover from
+const FAILED_STATUSES = [
+  'document.error',
+  'document.voided',
+  'document.declined',
+  'document.rejected',
+];
+
+// Position of each status in the document lifecycle, used to tell whether
+// a document has already passed the status being waited for. Approval sits
+// between draft and sent, so a draft has not reached approved.
+const STATUS_PROGRESS = {
+  'document.uploaded': 0,
+  'document.draft': 1,
+  'document.waiting_approval': 2,
+  'document.approved': 3,
+  'document.sent': 4,
+  'document.external_review': 4,
+  'document.viewed': 5,
+  'document.waiting_pay': 6,
+  'document.paid': 7,
+  'document.completed': 8,
+};
+
+function hasReachedStatus(status, targetStatus) {
+  if (status === targetStatus) return true;
+  if (STATUS_PROGRESS[status] === undefined || STATUS_PROGRESS[targetStatus] === undefined) return false;
+  return STATUS_PROGRESS[status] >= STATUS_PROGRESS[targetStatus];
+}
+
+// Document statuses in which each recipient change is accepted
+const RECIPIENT_ACTION_STATUSES = {
+  add: ['document.draft'],
+  remove: ['document.draft'],
+  update: ['document.draft'],
+  reassign: ['document.sent', 'document.viewed', 'document.waiting_approval', 'document.approved'],
+};
+
+// Numeric codes the manual status change endpoint expects
+const MANUAL_STATUS_CODES = {
+  'document.completed': 2,
+  'document.voided': 11,
+  'document.declined': 12,
+};
+
+// Statuses a document can be moved out of by void / draft / status --set
+const LIFECYCLE_ALLOWED_STATUSES = {
+  void: ['document.sent', 'document.viewed', 'document.waiting_approval', 'document.approved', 'document.rejected', 'document.waiting_pay', 'document.external_review'],
+  draft: ['document.sent', 'document.viewed', 'document.waiting_approval', 'document.approved', 'document.rejected', 'document.voided', 'document.declined', 'document.external_review'],
+  status: ['document.sent', 'document.viewed', 'document.waiting_approval', 'document.approved', 'document.waiting_pay', 'document.paid', 'document.external_review'],
+};
+
+// Statuses in which recipients can be reminded
+const REMINDABLE_STATUSES = ['document.sent', 'document.viewed'];
+
+// Statuses in which recipients can open a signing session
+const SHAREABLE_STATUSES = ['document.sent', 'document.viewed', 'document.waiting_approval', 'document.approved', 'document.waiting_pay'];
+
+// Base URL for embedded signing sessions
+const SESSION_BASE_URL = 'https://app.pandadoc.com/s/';
+
+// Events a webhook subscription can be triggered by
+const WEBHOOK_TRIGGERS = [
+  'document_state_changed',
+  'recipient_completed',
+  'document_updated',
+  'document_deleted',
+  'document_creation_failed',
+  'document_completed_pdf_ready',
+  'document_section_added',
+  'quote_updated',
+  'template_created',
+  'template_updated',
+  'template_deleted',
+  'content_library_item_created',
+  'content_library_item_creation_failed',
+];
+
+// Extra data a subscription can include in each delivery
+const WEBHOOK_PAYLOAD_OPTIONS = ['fields', 'products', 'metadata', 'tokens', 'pricing'];
+
+// Process exit codes
+const EXIT_CODES = {
+  ERROR: 1,
+  TIMEOUT: 2,
+  FAILED: 3,
+  STALE: 4,
 };
 
+// Transport settings
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Read a response header whether headers is a Headers object or a plain object
+function getHeader(response, name) {
+  const headers = response.headers;
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// Retry-After is either seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(String(value))) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Error raised for any failed API call
+class PandaDocError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PandaDocError';
+    this.status = details.status;
+    this.type = details.type;
+    this.method = details.method;
+    this.path = details.path;
+    this.requestId = details.requestId;
+    this.data = details.data;
+  }
+  
+  static fromResponse(response, method, requestPath) {
+    let data = {};
+    try {
+      data = response.json();
+    } catch (e) {
+      try {
+        data = { message: response.text() };
+      } catch (e2) {}
+    }
+    
+    const message = data.detail || data.message || data.error || `HTTP ${response.status}`;
+    return new PandaDocError(typeof message === 'string' ? message : JSON.stringify(message), {
+      status: response.status,
+      type: data.type,
+      method,
+      path: requestPath,
+      requestId: getHeader(response, 'x-request-id') || data.request_id,
+      data
+    });
+  }
+}
+
 // PandaDoc Client Class - Uses secure token system
 class PandaDocClient {
-  constructor() {
+  constructor(options = {}) {
+    // Profiles can point at another workspace's token
+    this.token = options.token || 'pandadoc';
+    
     // Check if pandadoc token is available via secure token system
-    if (typeof hasToken === 'function' && !hasToken('pandadoc')) {
-      console.error('PandaDoc token not configured.');
+    if (typeof hasToken === 'function' && !hasToken(this.token)) {
+      console.error(`PandaDoc token '${this.token}' not configured.`);
       console.error('');
       console.error('Add to ~/.pave/permissions.yaml under tokens section:');
       console.error('');
-      console.error('  pandadoc:');
+      console.error(`  ${this.token}:`);
       console.error('    env: PANDADOC_API_KEY');
       console.error('    type: api_key');
       console.error('    domains:');
@@ -156,56 +583,107 @@ class PandaDocClient {
     }
     
     this.baseUrl = 'https://api.pandadoc.com/public/v1';
+    this.baseUrlV2 = 'https://api.pandadoc.com/public/v2';
+    
+    // Retry and rate limit settings (CLI flags, then environment)
+    this.maxRetries = Number(options.maxRetries !== undefined ? options.maxRetries : (process.env.PANDADOC_MAX_RETRIES || 3));
+    this.rateLimit = Number(options.rateLimit || process.env.PANDADOC_RATE_LIMIT || 0);
+    this.lastRequestAt = 0;
+  }
+  
+  // Single transport for every API call: rate limiting, retries with
+  // backoff + jitter, Retry-After and structured errors. Returns the response.
+  fetch(url, options = {}) {
+    const { multipart, ...fetchOptions } = options;
+    const method = (options.method || 'GET').toUpperCase();
+    const requestPath = url.replace(/^https?:\/\/[^/]+/, '');
+    
+    // Multipart parts are encoded here so the JSON default doesn't apply
+    let contentType = 'application/json';
+    if (multipart) {
+      const encoded = encodeMultipart(multipart);
+      fetchOptions.body = encoded.body;
+      contentType = encoded.contentType;
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      this.throttle();
+      
+      let response;
+      try {
+        // Use authenticatedFetch - token injection handled by sandbox
+        response = authenticatedFetch(this.token, url, {
+          ...fetchOptions,
+          headers: {
+            'Content-Type': contentType,
+            ...options.headers
+          },
+          timeout: options.timeout || 15000
+        });
+      } catch (e) {
+        // Network failures are only retried when repeating the call is safe
+        if (attempt < this.maxRetries && IDEMPOTENT_METHODS.includes(method)) {
+          this.waitBeforeRetry(attempt, null, `${method} ${requestPath} failed: ${e.message}`);
+          continue;
+        }
+        throw new PandaDocError(`Request failed: ${e.message}`, { method, path: requestPath });
+      }
+      
+      if (response.ok || response.status === 204) {
+        return response;
+      }
+      
+      // 429 means the request was not processed, so it is always safe to retry
+      const retryable = response.status === 429 ||
+        (RETRYABLE_STATUSES.includes(response.status) && IDEMPOTENT_METHODS.includes(method));
+      if (retryable && attempt < this.maxRetries) {
+        this.waitBeforeRetry(attempt, getHeader(response, 'retry-after'), `${method} ${requestPath} returned HTTP ${response.status}`);
+        continue;
+      }
+      
+      throw PandaDocError.fromResponse(response, method, requestPath);
+    }
+  }
+  
+  // Space requests out to stay under the configured requests per minute
+  throttle() {
+    if (this.rateLimit > 0) {
+      const wait = this.lastRequestAt + 60000 / this.rateLimit - Date.now();
+      if (wait > 0) sleep(wait);
+    }
+    this.lastRequestAt = Date.now();
+  }
+  
+  waitBeforeRetry(attempt, retryAfter, reason) {
+    let delay = parseRetryAfter(retryAfter);
+    if (delay === null) {
+      // Exponential backoff with jitter: half fixed, half random
+      const base = Math.min(1000 * 2 ** attempt, 30000);
+      delay = base / 2 + Math.random() * base / 2;
+    }
+    if (process.env.DEBUG) {
+      console.error(`${reason}; retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${this.maxRetries})`);
+    }
+    sleep(delay);
   }
   
   request(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    
-    // Use authenticatedFetch - token injection handled by sandbox
-    const response = authenticatedFetch('pandadoc', url, {
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      timeout: options.timeout || 15000
-    });
+    const response = this.fetch(`${this.baseUrl}${endpoint}`, options);
     
     // Handle empty responses (204 No Content)
     if (response.status === 204) {
       return { success: true };
     }
     
-    if (!response.ok) {
-      const error = response.json();
-      const err = new Error(error.detail || error.message || error.error || `HTTP ${response.status}`);
-      err.status = response.status;
-      err.data = error;
-      throw err;
-    }
-    
     return response.json();
   }
   
   // Make request to v2 API
   requestV2(endpoint, options = {}) {
-    const url = `https://api.pandadoc.com/public/v2${endpoint}`;
+    const response = this.fetch(`${this.baseUrlV2}${endpoint}`, options);
     
-    const response = authenticatedFetch('pandadoc', url, {
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      timeout: options.timeout || 15000
-    });
-    
-    if (!response.ok) {
-      const error = response.json();
-      const err = new Error(error.detail || error.message || `HTTP ${response.status}`);
-      err.status = response.status;
-      err.data = error;
-      throw err;
+    if (response.status === 204) {
+      return { success: true };
     }
     
     return response.json();
@@ -265,43 +743,15 @@ class PandaDocClient {
     const queryString = encodeFormData(queryParams);
     const url = `${this.baseUrl}/documents/${documentId}/download${queryString ? `?${queryString}` : ''}`;
     
-    const response = authenticatedFetch('pandadoc', url, {
+    return readBinary(this.fetch(url, {
       timeout: 60000 // Longer timeout for downloads
-    });
-    
-    if (!response.ok) {
-      let errorData = {};
-      try {
-        errorData = response.json();
-      } catch (e) {}
-      const err = new Error(errorData.detail || errorData.message || 'Download failed');
-      err.status = response.status;
-      err.data = errorData;
-      throw err;
-    }
-    
-    return response.text();
+    }));
   }
   
   downloadProtectedDocument(documentId) {
-    const url = `${this.baseUrl}/documents/${documentId}/download-protected`;
-    
-    const response = authenticatedFetch('pandadoc', url, {
+    return readBinary(this.fetch(`${this.baseUrl}/documents/${documentId}/download-protected`, {
       timeout: 60000
-    });
-    
-    if (!response.ok) {
-      let errorData = {};
-      try {
-        errorData = response.json();
-      } catch (e) {}
-      const err = new Error(errorData.detail || errorData.message || 'Download failed');
-      err.status = response.status;
-      err.data = errorData;
-      throw err;
-    }
-    
-    return response.text();
+    }));
   }
   
   sendDocument(documentId, options = {}) {
@@ -334,6 +784,53 @@ class PandaDocClient {
     return this.request(endpoint);
   }
   
+  createDocumentFolder(folder) {
+    return this.request('/documents/folders', {
+      method: 'POST',
+      body: JSON.stringify(folder)
+    });
+  }
+  
+  renameDocumentFolder(folderId, name) {
+    return this.request(`/documents/folders/${folderId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name })
+    });
+  }
+  
+  moveDocumentToFolder(documentId, folderId) {
+    return this.request(`/documents/${documentId}/move-to-folder/${folderId}`, {
+      method: 'POST'
+    });
+  }
+  
+  listTemplateFolders(params = {}) {
+    const queryString = encodeFormData(params);
+    const endpoint = '/templates/folders' + (queryString ? `?${queryString}` : '');
+    
+    return this.request(endpoint);
+  }
+  
+  createTemplateFolder(folder) {
+    return this.request('/templates/folders', {
+      method: 'POST',
+      body: JSON.stringify(folder)
+    });
+  }
+  
+  renameTemplateFolder(folderId, name) {
+    return this.request(`/templates/folders/${folderId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name })
+    });
+  }
+  
+  moveTemplateToFolder(templateId, folderId) {
+    return this.request(`/templates/${templateId}/move-to-folder/${folderId}`, {
+      method: 'POST'
+    });
+  }
+  
   getCurrentMember() {
     return this.request('/members/current');
   }
@@ -346,95 +843,2941 @@ class PandaDocClient {
   listDocumentFields(documentId) {
     return this.request(`/documents/${documentId}/fields`);
   }
-}
-
-// Format helpers
-function formatDate(dateStr) {
-  if (!dateStr) return 'N/A';
-  try {
-    const date = new Date(dateStr);
-    return date.toLocaleString('en-GB', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
+  
+  // Only drafts can be updated
+  updateDocument(documentId, changes) {
+    return this.request(`/documents/${documentId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
     });
-  } catch (e) {
-    return dateStr;
   }
-}
-
-function formatDocument(doc) {
-  const status = STATUS_LABELS[doc.status] || doc.status;
-  const created = formatDate(doc.date_created);
-  const modified = formatDate(doc.date_modified);
   
-  let output = `${doc.name}\n`;
-  output += `  ID: ${doc.id}\n`;
-  output += `  Status: ${status}\n`;
-  output += `  Created: ${created}\n`;
-  output += `  Modified: ${modified}\n`;
+  addDocumentRecipient(documentId, recipient) {
+    return this.request(`/documents/${documentId}/recipients`, {
+      method: 'POST',
+      body: JSON.stringify(recipient)
+    });
+  }
   
-  if (doc.date_completed) {
-    output += `  Completed: ${formatDate(doc.date_completed)}\n`;
+  updateDocumentRecipient(documentId, recipientId, changes) {
+    return this.request(`/documents/${documentId}/recipients/recipient/${recipientId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
   }
   
-  if (doc.expiration_date) {
-    output += `  Expires: ${formatDate(doc.expiration_date)}\n`;
+  deleteDocumentRecipient(documentId, recipientId) {
+    return this.request(`/documents/${documentId}/recipients/${recipientId}`, {
+      method: 'DELETE'
+    });
   }
   
-  if (doc.version) {
-    output += `  Version: ${doc.version}\n`;
+  reassignDocumentRecipient(documentId, recipientId, recipient) {
+    return this.request(`/documents/${documentId}/recipients/${recipientId}/reassign`, {
+      method: 'POST',
+      body: JSON.stringify(recipient)
+    });
   }
   
-  return output;
-}
-
-function formatDocumentDetails(doc) {
-  const status = STATUS_LABELS[doc.status] || doc.status;
+  changeDocumentStatus(documentId, status, options = {}) {
+    return this.request(`/documents/${documentId}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        status: MANUAL_STATUS_CODES[status],
+        note: options.note,
+        notify_recipients: options.notifyRecipients !== false
+      })
+    });
+  }
   
-  let output = `# ${doc.name}\n\n`;
-  output += `**ID:** ${doc.id}\n`;
-  output += `**Status:** ${status}\n`;
-  output += `**Created:** ${formatDate(doc.date_created)}\n`;
-  output += `**Modified:** ${formatDate(doc.date_modified)}\n`;
+  revertDocumentToDraft(documentId) {
+    return this.request(`/documents/${documentId}/draft`, {
+      method: 'POST'
+    });
+  }
   
-  if (doc.date_completed) {
-    output += `**Completed:** ${formatDate(doc.date_completed)}\n`;
+  createDocumentSession(documentId, recipientEmail, lifetime) {
+    return this.request(`/documents/${documentId}/session`, {
+      method: 'POST',
+      body: JSON.stringify({ recipient: recipientEmail, lifetime })
+    });
   }
   
-  if (doc.expiration_date) {
-    output += `**Expires:** ${formatDate(doc.expiration_date)}\n`;
+  // Reminders use the v2 API
+  sendDocumentReminder(documentId, options = {}) {
+    return this.requestV2(`/documents/${documentId}/send-reminder`, {
+      method: 'POST',
+      body: JSON.stringify(options)
+    });
   }
   
-  // Recipients
-  if (doc.recipients && doc.recipients.length > 0) {
-    output += `\n## Recipients (${doc.recipients.length})\n`;
-    for (const recipient of doc.recipients) {
-      const recipientStatus = recipient.has_completed ? 'Completed' : 
-                              recipient.is_sender ? 'Sender' : 'Pending';
-      output += `- ${recipient.first_name} ${recipient.last_name} <${recipient.email}> [${recipient.role || 'Recipient'}] - ${recipientStatus}\n`;
-    }
+  getAutoReminders(documentId) {
+    return this.requestV2(`/documents/${documentId}/auto-reminders`);
   }
   
-  // Tokens/Fields summary
-  if (doc.tokens && doc.tokens.length > 0) {
-    output += `\n## Fields (${doc.tokens.length})\n`;
-    for (const token of doc.tokens.slice(0, 10)) {
-      const value = token.value !== undefined && token.value !== '' ? token.value : '(empty)';
-      output += `- ${token.name}: ${value}\n`;
-    }
-    if (doc.tokens.length > 10) {
+  updateAutoReminders(documentId, settings) {
+    return this.requestV2(`/documents/${documentId}/auto-reminders`, {
+      method: 'PATCH',
+      body: JSON.stringify(settings)
+    });
+  }
+  
+  listWebhookSubscriptions() {
+    return this.request('/webhook-subscriptions');
+  }
+  
+  createWebhookSubscription(subscription) {
+    return this.request('/webhook-subscriptions', {
+      method: 'POST',
+      body: JSON.stringify(subscription)
+    });
+  }
+  
+  updateWebhookSubscription(subscriptionId, changes) {
+    return this.request(`/webhook-subscriptions/${subscriptionId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+  }
+  
+  deleteWebhookSubscription(subscriptionId) {
+    return this.request(`/webhook-subscriptions/${subscriptionId}`, {
+      method: 'DELETE'
+    });
+  }
+  
+  listWebhookEvents(params = {}) {
+    const queryString = encodeFormData(params);
+    return this.request('/webhook-events' + (queryString ? `?${queryString}` : ''));
+  }
+  
+  getWebhookEvent(eventId) {
+    return this.request(`/webhook-events/${eventId}`);
+  }
+  
+  listContacts(params = {}) {
+    const queryString = encodeFormData(params);
+    return this.request('/contacts' + (queryString ? `?${queryString}` : ''));
+  }
+  
+  getContact(contactId) {
+    return this.request(`/contacts/${contactId}`);
+  }
+  
+  createContact(contact) {
+    return this.request('/contacts', {
+      method: 'POST',
+      body: JSON.stringify(contact)
+    });
+  }
+  
+  updateContact(contactId, changes) {
+    return this.request(`/contacts/${contactId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+  }
+  
+  deleteContact(contactId) {
+    return this.request(`/contacts/${contactId}`, {
+      method: 'DELETE'
+    });
+  }
+  
+  getTemplateDetails(templateId) {
+    return this.request(`/templates/${templateId}/details`);
+  }
+  
+  createDocument(payload) {
+    return this.request('/documents', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    });
+  }
+  
+  uploadDocument(filePath, data = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+    return this.request('/documents', {
+      method: 'POST',
+      multipart: [
+        { name: 'file', filename: path.basename(filePath), contentType: UPLOAD_CONTENT_TYPES[ext], value: fs.readFileSync(filePath) },
+        { name: 'data', contentType: 'application/json', value: JSON.stringify(data) }
+      ],
+      timeout: 60000 // Longer timeout for uploads
+    });
+  }
+  
+  // Poll until the document reaches (or passes) the target status, backing off
+  // exponentially between polls. Throws with exitCode set on timeout or failure.
+  waitForStatus(documentId, targetStatus, options = {}) {
+    const timeout = options.timeout || 120000;
+    const maxInterval = options.maxInterval || 30000;
+    let interval = options.interval || 1000;
+    const started = Date.now();
+    
+    while (true) {
+      const doc = this.getDocumentStatus(documentId);
+      const elapsed = Date.now() - started;
+      if (options.onProgress) {
+        options.onProgress(doc, elapsed);
+      }
+      
+      if (FAILED_STATUSES.includes(doc.status) && doc.status !== targetStatus) {
+        const err = new Error(`Document ${documentId} ended in ${STATUS_LABELS[doc.status] || doc.status} while waiting for ${STATUS_LABELS[targetStatus] || targetStatus}`);
+        err.exitCode = EXIT_CODES.FAILED;
+        err.data = doc;
+        throw err;
+      }
+      if (hasReachedStatus(doc.status, targetStatus)) {
+        return doc;
+      }
+      if (elapsed >= timeout) {
+        const err = new Error(`Timed out waiting for ${documentId} to reach ${STATUS_LABELS[targetStatus] || targetStatus} (last status: ${STATUS_LABELS[doc.status] || doc.status})`);
+        err.exitCode = EXIT_CODES.TIMEOUT;
+        err.data = doc;
+        throw err;
+      }
+      
+      sleep(Math.min(interval, timeout - elapsed));
+      interval = Math.min(interval * 2, maxInterval);
+    }
+  }
+}
+
+// Data file helpers
+
+// Minimal YAML reader for document specs - supports nested maps, lists,
+// inline [a, b] lists, quoted strings, numbers, booleans and comments.
+// Inline {a: b} maps and block scalars are rejected.
+function parseYaml(text) {
+  // Walk a line keeping track of quotes; calls found(index) for each
+  // character outside them and stops when it returns true
+  function scanUnquoted(line, found) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quote) {
+        if (char === '\\' && quote === '"') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (found(i)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+  
+  // A # starts a comment only outside quotes, at the start or after a space
+  function stripComment(line) {
+    const index = scanUnquoted(line, i => line[i] === '#' && (i === 0 || /\s/.test(line[i - 1])));
+    return index === -1 ? line : line.slice(0, index);
+  }
+  
+  // Split the inside of an inline [a, "b, c"] list on unquoted commas
+  function splitFlowList(inner) {
+    const items = [];
+    let start = 0;
+    scanUnquoted(inner, i => {
+      if (inner[i] === ',') {
+        items.push(inner.slice(start, i));
+        start = i + 1;
+      }
+      return false;
+    });
+    items.push(inner.slice(start));
+    return items;
+  }
+  
+  const lines = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const stripped = stripComment(raw);
+    if (!stripped.trim() || stripped.trim() === '---') continue;
+    lines.push({
+      indent: stripped.length - stripped.trimStart().length,
+      text: stripped.trim()
+    });
+  }
+  
+  let pos = 0;
+  
+  function parseScalar(value) {
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+      return value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+    }
+    if (value.length > 1 && value.startsWith("'") && value.endsWith("'")) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+      const inner = value.slice(1, -1).trim();
+      return inner ? splitFlowList(inner).map(item => parseScalar(item.trim())) : [];
+    }
+    if (value === '{}') return {};
+    // Inline maps and block scalars aren't parsed; failing beats handing
+    // back a string
+    if (value.startsWith('{')) {
+      throw new Error(`Inline maps are not supported: ${value} (put each key on its own line, or quote the value if it is text)`);
+    }
+    if (/^[|>][+-]?\d*$/.test(value)) {
+      throw new Error(`Block scalars are not supported: ${value} (use a quoted string)`);
+    }
+    return value;
+  }
+  
+  function splitKey(textLine) {
+    const match = textLine.match(/^("[^"]*"|'[^']*'|[^:]+?):(\s+(.*))?$/);
+    if (!match) return null;
+    return { key: parseScalar(match[1].trim()), value: (match[3] || '').trim() };
+  }
+  
+  function parseBlock(indent) {
+    if (pos >= lines.length) return null;
+    return lines[pos].text.startsWith('- ') || lines[pos].text === '-'
+      ? parseList(indent)
+      : parseMap(indent);
+  }
+  
+  function parseValue(value, parentIndent) {
+    if (value !== '') return parseScalar(value);
+    if (pos < lines.length && lines[pos].indent > parentIndent) {
+      return parseBlock(lines[pos].indent);
+    }
+    // Lists are allowed at the same indent as their parent key
+    if (pos < lines.length && lines[pos].indent === parentIndent && lines[pos].text.startsWith('-')) {
+      return parseList(parentIndent);
+    }
+    return null;
+  }
+  
+  function parseMap(indent) {
+    const result = {};
+    while (pos < lines.length && lines[pos].indent === indent && !lines[pos].text.startsWith('-')) {
+      const entry = splitKey(lines[pos].text);
+      if (!entry) throw new Error(`Invalid YAML line: ${lines[pos].text}`);
+      pos++;
+      result[entry.key] = parseValue(entry.value, indent);
+    }
+    return result;
+  }
+  
+  function parseList(indent) {
+    const result = [];
+    while (pos < lines.length && lines[pos].indent === indent && (lines[pos].text.startsWith('- ') || lines[pos].text === '-')) {
+      const itemText = lines[pos].text.slice(1).trim();
+      const entry = splitKey(itemText);
+      if (!itemText) {
+        pos++;
+        result.push(parseValue('', indent));
+      } else if (entry && !/^["']/.test(itemText)) {
+        // "- key: value" starts an inline map; following keys sit two columns in
+        const itemIndent = indent + (lines[pos].text.length - itemText.length);
+        lines[pos] = { indent: itemIndent, text: itemText };
+        result.push(parseMap(itemIndent));
+      } else {
+        pos++;
+        result.push(parseScalar(itemText));
+      }
+    }
+    return result;
+  }
+  
+  const result = parseBlock(lines.length ? lines[0].indent : 0);
+  if (pos < lines.length) {
+    throw new Error(`Invalid YAML line: ${lines[pos].text}`);
+  }
+  return result === null ? {} : result;
+}
+
+// Load a JSON or YAML data file (chosen by extension)
+function loadDataFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  try {
+    return ext === '.yaml' || ext === '.yml' ? parseYaml(content) : JSON.parse(content);
+  } catch (e) {
+    throw new Error(`Could not parse ${filePath}: ${e.message}`);
+  }
+}
+
+// Parse CSV text into { headers, rows, lines } with rows keyed by header and
+// lines[i] the file line rows[i] starts on. Handles quoted values with
+// commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  text = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(value);
+      records.push({ fields: record, line: recordLine });
+      record = [];
+      value = '';
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted value');
+  }
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push({ fields: record, line: recordLine });
+  }
+  
+  const nonEmpty = records.filter(entry => entry.fields.some(field => field.trim() !== ''));
+  const headers = ((nonEmpty.shift() || {}).fields || []).map(header => header.trim());
+  const rows = nonEmpty.map(({ fields }) => {
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = (fields[i] || '').trim();
+    });
+    return row;
+  });
+  return { headers, rows, lines: nonEmpty.map(entry => entry.line) };
+}
+
+function loadCsvFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  try {
+    return parseCsv(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not parse ${filePath}: ${e.message}`);
+  }
+}
+
+// Build a POST /documents payload from a document spec
+function buildDocumentPayload(spec, overrides = {}) {
+  const payload = {
+    name: overrides.name || spec.name,
+    template_uuid: overrides.templateId || spec.template_uuid || spec.template,
+    folder_uuid: overrides.folderUuid || spec.folder_uuid || spec.folder,
+    recipients: (spec.recipients || []).map(recipient => ({ ...recipient })),
+  };
+  
+  // Tokens accept either { name: value } or [{ name, value }]
+  if (spec.tokens) {
+    payload.tokens = Array.isArray(spec.tokens)
+      ? spec.tokens.map(token => ({ name: token.name, value: token.value }))
+      : Object.entries(spec.tokens).map(([name, value]) => ({ name, value }));
+  }
+  
+  // Fields accept either { name: value } or { name: { value, role } }
+  if (spec.fields) {
+    payload.fields = {};
+    for (const [name, value] of Object.entries(spec.fields)) {
+      payload.fields[name] = value !== null && typeof value === 'object' ? value : { value };
+    }
+  }
+  
+  if (spec.metadata) payload.metadata = spec.metadata;
+  if (spec.content_placeholders) payload.content_placeholders = spec.content_placeholders;
+  if (spec.tags) payload.tags = Array.isArray(spec.tags) ? spec.tags : String(spec.tags).split(',').map(tag => tag.trim());
+  
+  // Pricing tables accept a flat "rows" shorthand for single-section tables
+  if (spec.pricing_tables) {
+    payload.pricing_tables = spec.pricing_tables.map(table => {
+      const sections = table.sections || [{ title: 'Section 1', default: true, rows: table.rows || [] }];
+      return {
+        name: table.name,
+        data_merge: table.data_merge !== undefined ? table.data_merge : true,
+        options: table.options || {},
+        sections: sections.map(section => ({
+          ...section,
+          rows: (section.rows || []).map(row => (row.data ? row : { options: {}, data: row }))
+        }))
+      };
+    });
+  }
+  
+  for (const key of Object.keys(payload)) {
+    if (payload[key] === undefined) delete payload[key];
+  }
+  
+  return payload;
+}
+
+// Check a document payload against the template it is created from
+function validateDocumentPayload(payload, template) {
+  const errors = [];
+  
+  if (!payload.name) errors.push('Document name is required');
+  if (!payload.template_uuid) errors.push('Template ID is required');
+  
+  const roles = (template.roles || []).map(role => role.name);
+  for (const recipient of payload.recipients) {
+    if (!recipient.email) {
+      errors.push('Every recipient needs an email');
+    }
+    if (recipient.role && roles.length > 0 && !roles.includes(recipient.role)) {
+      errors.push(`Unknown role '${recipient.role}' for ${recipient.email} (template roles: ${roles.join(', ')})`);
+    }
+  }
+  for (const role of roles) {
+    if (!payload.recipients.some(recipient => recipient.role === role)) {
+      errors.push(`No recipient assigned to template role '${role}'`);
+    }
+  }
+  
+  const tokenNames = (template.tokens || []).map(token => token.name);
+  for (const token of payload.tokens || []) {
+    if (!tokenNames.includes(token.name)) {
+      errors.push(`Unknown token '${token.name}'`);
+    }
+  }
+  
+  const fieldNames = [];
+  for (const field of template.fields || []) {
+    if (field.merge_field) fieldNames.push(field.merge_field);
+    if (field.name) fieldNames.push(field.name);
+  }
+  for (const name of Object.keys(payload.fields || {})) {
+    if (!fieldNames.includes(name)) {
+      errors.push(`Unknown field '${name}'`);
+    }
+  }
+  
+  const tableNames = ((template.pricing && template.pricing.tables) || []).map(table => table.name);
+  for (const table of payload.pricing_tables || []) {
+    if (!tableNames.includes(table.name)) {
+      errors.push(`Unknown pricing table '${table.name}'`);
+    }
+  }
+  
+  return errors;
+}
+
+// Columns of a template pricing table, from its column list or its items
+function pricingTableColumns(table) {
+  if (Array.isArray(table.columns) && table.columns.length > 0) {
+    return table.columns.map(column => (typeof column === 'string' ? column : column.name || column.title));
+  }
+  const columns = [];
+  for (const item of table.items || table.rows || []) {
+    for (const key of Object.keys(item.data || item)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+}
+
+// Field types only a signer can fill in, so a spec can't prefill them
+const SIGNER_FIELD_TYPES = ['signature', 'initials', 'stamp'];
+
+// Role a template field is assigned to, if any
+function fieldRole(field) {
+  return (field.assigned_to && field.assigned_to.name) || field.assignee || field.role || null;
+}
+
+// Starting document spec for `create --data`, with every role, token, field
+// and pricing table of the template filled with its default or left blank
+function scaffoldDocumentSpec(template) {
+  const spec = {
+    name: template.name,
+    template_uuid: template.id,
+    recipients: [...(template.roles || [])].sort((a, b) => (a.signing_order || 0) - (b.signing_order || 0)).map(role => ({
+      role: role.name,
+      email: (role.preassigned_person && role.preassigned_person.email) || '',
+      first_name: '',
+      last_name: '',
+      ...(role.signing_order ? { signing_order: role.signing_order } : {})
+    }))
+  };
+  
+  if ((template.tokens || []).length > 0) {
+    spec.tokens = {};
+    for (const token of template.tokens) {
+      spec.tokens[token.name] = token.value !== undefined && token.value !== null ? token.value : '';
+    }
+  }
+  
+  // Fields are keyed by merge field when there is one - that is what the API matches on
+  const fields = (template.fields || []).filter(field => (field.merge_field || field.name) && !SIGNER_FIELD_TYPES.includes(field.type));
+  if (fields.length > 0) {
+    spec.fields = {};
+    for (const field of fields) {
+      const value = field.value !== undefined && field.value !== null ? field.value : '';
+      const role = fieldRole(field);
+      spec.fields[field.merge_field || field.name] = role ? { value, role } : value;
+    }
+  }
+  
+  const tables = (template.pricing && template.pricing.tables) || [];
+  if (tables.length > 0) {
+    spec.pricing_tables = tables.map(table => ({
+      name: table.name,
+      rows: [Object.fromEntries(pricingTableColumns(table).map(column => [column, '']))]
+    }));
+  }
+  
+  if ((template.content_placeholders || []).length > 0) {
+    spec.content_placeholders = template.content_placeholders.map(placeholder => ({
+      block_id: placeholder.block_id,
+      content_library_items: [{ id: '' }]
+    }));
+  }
+  
+  spec.metadata = {};
+  if ((template.tags || []).length > 0) spec.tags = template.tags;
+  return spec;
+}
+
+// Parse name=value pairs from --set (and extra positional arguments)
+function parseAssignments(pairs) {
+  const values = {};
+  for (const pair of pairs) {
+    const separator = String(pair).indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Expected name=value, got '${pair}'`);
+    }
+    values[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+  }
+  return values;
+}
+
+// Choices of a dropdown or radio field, where the API exposes them
+function fieldOptions(field) {
+  const options = field.options || (field.settings && field.settings.options) || [];
+  return options.map(option => (option !== null && typeof option === 'object' ? option.value || option.label || option.name : option));
+}
+
+// Check a new value against the field's type and return it in the form the
+// API expects; throws with a readable message when it doesn't fit
+function parseFieldValue(field, value) {
+  const type = (field.type || 'text').toLowerCase();
+  const text = String(value).trim();
+  
+  if (SIGNER_FIELD_TYPES.includes(type) || type === 'collect_file') {
+    throw new Error(`${field.name} is a ${type} field and can only be filled in by the signer`);
+  }
+  if (type === 'checkbox') {
+    if (typeof value === 'boolean') return value;
+    if (/^(true|yes|1|on|checked)$/i.test(text)) return true;
+    if (/^(false|no|0|off|unchecked)$/i.test(text)) return false;
+    throw new Error(`${field.name} is a checkbox; use true or false (got '${value}')`);
+  }
+  if (type === 'date') {
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!date || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+      throw new Error(`${field.name} is a date; use YYYY-MM-DD (got '${value}')`);
+    }
+    return text;
+  }
+  if (type === 'dropdown' || type === 'radio_buttons' || type === 'radio') {
+    const options = fieldOptions(field);
+    if (options.length > 0 && !options.includes(text)) {
+      throw new Error(`${field.name} must be one of: ${options.join(', ')} (got '${value}')`);
+    }
+    return text;
+  }
+  if (type === 'number' || type === 'numeric') {
+    if (text === '' || !Number.isFinite(Number(text))) {
+      throw new Error(`${field.name} is a number (got '${value}')`);
+    }
+    return Number(text);
+  }
+  return typeof value === 'string' ? value : text;
+}
+
+// Work out the PATCH body and before/after diff for new field and token
+// values. Names are matched against fields (by name or merge field) first,
+// then tokens.
+function planFieldChanges(values, fields, tokens) {
+  const changes = [];
+  const errors = [];
+  const patch = {};
+  
+  for (const [name, value] of Object.entries(values)) {
+    const field = fields.find(item => item.name === name || item.merge_field === name);
+    const token = tokens.find(item => item.name === name);
+    if (!field && !token) {
+      errors.push(`Unknown field or token '${name}'`);
+      continue;
+    }
+    
+    try {
+      if (field) {
+        const after = parseFieldValue(field, value);
+        if (after === field.value) continue;
+        // Keyed like create's fields: the API matches on the merge field name
+        patch.fields = patch.fields || {};
+        patch.fields[field.merge_field || field.name] = { value: after };
+        changes.push({ name: field.name, kind: 'field', type: field.type || 'text', before: field.value === undefined ? null : field.value, after });
+      } else {
+        const after = String(value);
+        if (after === token.value) continue;
+        patch.tokens = patch.tokens || [];
+        patch.tokens.push({ name, value: after });
+        changes.push({ name, kind: 'token', type: 'token', before: token.value === undefined ? null : token.value, after });
+      }
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  
+  return { patch, changes, errors };
+}
+
+// File helpers
+
+// Read a response body as raw bytes - text() would mangle binary content
+function readBinary(response) {
+  if (typeof response.arrayBuffer === 'function') {
+    return Buffer.from(response.arrayBuffer());
+  }
+  if (typeof response.buffer === 'function') {
+    return Buffer.from(response.buffer());
+  }
+  return Buffer.from(response.text(), 'binary');
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Identify downloads by their magic bytes
+function detectFileType(content) {
+  if (content.length >= 5 && content.slice(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (content.length >= 4 && content.readUInt32LE(0) === 0x04034b50) return 'zip';
+  return null;
+}
+
+// Write a downloaded file plus a sha256sum-style <file>.sha256 sidecar.
+// Refuses to overwrite an existing file unless force is set.
+function saveDownload(content, outputPath, options = {}) {
+  const type = detectFileType(content);
+  if (options.expectedType && type !== options.expectedType) {
+    throw new Error(`Downloaded content is not a valid ${options.expectedType.toUpperCase()} (got ${type || 'unknown data'}, ${content.length} bytes)`);
+  }
+  if (fs.existsSync(outputPath) && !options.force) {
+    throw new Error(`File already exists: ${outputPath} (use --force to overwrite)`);
+  }
+  
+  const dir = path.dirname(outputPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  
+  const hash = sha256(content);
+  fs.writeFileSync(outputPath, content);
+  fs.writeFileSync(`${outputPath}.sha256`, `${hash}  ${path.basename(outputPath)}\n`);
+  
+  return { path: outputPath, type, size: content.length, sha256: hash };
+}
+
+// Write JSON via a temp file so an interrupted run never leaves half a file
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+// Check a file against its .sha256 sidecar; false when missing or changed
+function verifyDownload(filePath) {
+  if (!fs.existsSync(filePath) || !fs.existsSync(`${filePath}.sha256`)) return false;
+  const expected = fs.readFileSync(`${filePath}.sha256`, 'utf8').split(/\s+/)[0];
+  return sha256(fs.readFileSync(filePath)) === expected;
+}
+
+// Extract the entries of a ZIP archive using its central directory.
+// Supports stored and deflated entries, which is all PandaDoc produces.
+function extractZip(content) {
+  let eocd = -1;
+  for (let i = content.length - 22; i >= Math.max(0, content.length - 65557); i--) {
+    if (content.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Invalid ZIP archive: end of central directory not found');
+  }
+  
+  const entryCount = content.readUInt16LE(eocd + 10);
+  let offset = content.readUInt32LE(eocd + 16);
+  const entries = [];
+  const names = new Set();
+  
+  for (let i = 0; i < entryCount; i++) {
+    if (content.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid ZIP archive: bad central directory entry');
+    }
+    const method = content.readUInt16LE(offset + 10);
+    const compressedSize = content.readUInt32LE(offset + 20);
+    const size = content.readUInt32LE(offset + 24);
+    const nameLength = content.readUInt16LE(offset + 28);
+    const extraLength = content.readUInt16LE(offset + 30);
+    const commentLength = content.readUInt16LE(offset + 32);
+    const localOffset = content.readUInt32LE(offset + 42);
+    const name = content.slice(offset + 46, offset + 46 + nameLength).toString('utf8');
+    offset += 46 + nameLength + extraLength + commentLength;
+    
+    if (name.endsWith('/')) continue;
+    
+    const dataStart = localOffset + 30 + content.readUInt16LE(localOffset + 26) + content.readUInt16LE(localOffset + 28);
+    const raw = content.slice(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) {
+      data = raw;
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(raw);
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+    if (data.length !== size) {
+      throw new Error(`Corrupt ZIP entry ${name}: expected ${size} bytes, got ${data.length}`);
+    }
+    
+    // Keep only the base name so entries can't escape the output directory;
+    // entries from different folders with the same name get a _2, _3... suffix
+    const base = path.basename(name.replace(/\\/g, '/'));
+    if (base === '' || base === '.' || base === '..') {
+      throw new Error(`Invalid ZIP entry name: ${name}`);
+    }
+    const ext = path.extname(base);
+    let unique = base;
+    for (let n = 2; names.has(unique.toLowerCase()); n++) {
+      unique = `${base.slice(0, base.length - ext.length)}_${n}${ext}`;
+    }
+    names.add(unique.toLowerCase());
+    entries.push({ name: unique, data });
+  }
+  
+  return entries;
+}
+
+// Format helpers
+function formatDate(dateStr) {
+  if (!dateStr) return 'N/A';
+  try {
+    const date = new Date(dateStr);
+    return date.toLocaleString('en-GB', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  } catch (e) {
+    return dateStr;
+  }
+}
+
+function formatDocument(doc) {
+  const status = STATUS_LABELS[doc.status] || doc.status;
+  const created = formatDate(doc.date_created);
+  const modified = formatDate(doc.date_modified);
+  
+  let output = `${doc.name}\n`;
+  output += `  ID: ${doc.id}\n`;
+  output += `  Status: ${status}\n`;
+  output += `  Created: ${created}\n`;
+  output += `  Modified: ${modified}\n`;
+  
+  if (doc.date_completed) {
+    output += `  Completed: ${formatDate(doc.date_completed)}\n`;
+  }
+  
+  if (doc.expiration_date) {
+    output += `  Expires: ${formatDate(doc.expiration_date)}\n`;
+  }
+  
+  if (doc.version) {
+    output += `  Version: ${doc.version}\n`;
+  }
+  
+  return output;
+}
+
+function formatTemplate(tmpl) {
+  let output = `${tmpl.name}\n`;
+  output += `  ID: ${tmpl.id}\n`;
+  output += `  Created: ${formatDate(tmpl.date_created)}\n`;
+  output += `  Modified: ${formatDate(tmpl.date_modified)}\n`;
+  
+  if (tmpl.tags && tmpl.tags.length > 0) {
+    output += `  Tags: ${tmpl.tags.join(', ')}\n`;
+  }
+  
+  return output;
+}
+
+function formatTemplateDetails(template) {
+  let output = formatTemplate(template);
+  
+  const roles = [...(template.roles || [])].sort((a, b) => (a.signing_order || 0) - (b.signing_order || 0));
+  output += `\nRoles (${roles.length})\n`;
+  for (const role of roles) {
+    const preassigned = role.preassigned_person && role.preassigned_person.email;
+    output += `  ${role.signing_order ? `${role.signing_order}. ` : '- '}${role.name}${preassigned ? ` (preassigned: ${preassigned})` : ''}\n`;
+  }
+  
+  const tokens = template.tokens || [];
+  output += `\nTokens (${tokens.length})\n`;
+  for (const token of tokens) {
+    output += `  ${token.name}${token.value ? ` = ${token.value}` : ''}\n`;
+  }
+  
+  const fields = template.fields || [];
+  output += `\nFields (${fields.length})\n`;
+  const byRole = new Map();
+  for (const field of fields) {
+    const role = fieldRole(field) || 'Unassigned';
+    if (!byRole.has(role)) byRole.set(role, []);
+    byRole.get(role).push(field);
+  }
+  for (const [role, roleFields] of byRole) {
+    output += `  ${role}:\n`;
+    for (const field of roleFields) {
+      const type = field.type ? ` (${field.type})` : '';
+      const mergeField = field.merge_field && field.merge_field !== field.name ? ` -> ${field.merge_field}` : '';
+      output += `    ${field.name || field.merge_field}${type}${mergeField}${field.value ? ` = ${field.value}` : ''}\n`;
+    }
+  }
+  
+  const tables = (template.pricing && template.pricing.tables) || [];
+  output += `\nPricing tables (${tables.length})\n`;
+  for (const table of tables) {
+    output += `  ${table.name}: ${pricingTableColumns(table).join(', ') || 'no columns'}\n`;
+  }
+  
+  const placeholders = template.content_placeholders || [];
+  output += `\nContent placeholders (${placeholders.length})\n`;
+  for (const placeholder of placeholders) {
+    output += `  ${placeholder.block_id}${placeholder.description ? `: ${placeholder.description}` : ''}\n`;
+  }
+  
+  return output;
+}
+
+// One row per role, token, field, pricing table and placeholder
+function templateInventory(template) {
+  return [
+    ...(template.roles || []).map(role => ({ kind: 'role', name: role.name, role: role.name, detail: role.signing_order || '' })),
+    ...(template.tokens || []).map(token => ({ kind: 'token', name: token.name, detail: token.value || '' })),
+    ...(template.fields || []).map(field => ({ kind: 'field', name: field.merge_field || field.name, role: fieldRole(field), detail: field.type || '' })),
+    ...((template.pricing && template.pricing.tables) || []).map(table => ({ kind: 'pricing_table', name: table.name, detail: pricingTableColumns(table).join(', ') })),
+    ...(template.content_placeholders || []).map(placeholder => ({ kind: 'placeholder', name: placeholder.block_id, detail: placeholder.description || '' }))
+  ];
+}
+
+function formatFolder(folder) {
+  let output = `${folder.name}\n`;
+  output += `  UUID: ${folder.uuid}\n`;
+  output += `  Created: ${formatDate(folder.date_created)}\n`;
+  
+  return output;
+}
+
+function formatRecipients(recipients) {
+  const sorted = [...recipients].sort((a, b) => (a.signing_order || 0) - (b.signing_order || 0));
+  let output = '';
+  for (const recipient of sorted) {
+    const recipientStatus = recipient.has_completed ? 'Completed' :
+                            recipient.is_sender ? 'Sender' : 'Pending';
+    const order = recipient.signing_order ? `${recipient.signing_order}. ` : '';
+    output += `${order}${recipient.first_name} ${recipient.last_name} <${recipient.email}> [${recipient.role || 'Recipient'}] - ${recipientStatus}\n`;
+    output += `   ID: ${recipient.id}\n`;
+  }
+  return output;
+}
+
+// Find a document recipient by ID or email
+function findRecipient(details, idOrEmail) {
+  const recipients = details.recipients || [];
+  const needle = String(idOrEmail).toLowerCase();
+  const recipient = recipients.find(r => r.id === idOrEmail || (r.email && r.email.toLowerCase() === needle));
+  if (!recipient) {
+    throw new Error(`Recipient '${idOrEmail}' not found on document ${details.id} (recipients: ${recipients.map(r => r.email).join(', ') || 'none'})`);
+  }
+  return recipient;
+}
+
+// Recipients who still have to act on a document
+function pendingRecipients(details) {
+  return (details.recipients || []).filter(recipient => !recipient.has_completed && !recipient.is_sender);
+}
+
+// Recipient fields from --email/--first-name/--last-name/--role/--signing-order
+function recipientFromOptions(options) {
+  const recipient = {};
+  if (options.email) recipient.email = options.email;
+  if (options['first-name']) recipient.first_name = options['first-name'];
+  if (options['last-name']) recipient.last_name = options['last-name'];
+  if (options.role) recipient.role = options.role;
+  if (options['signing-order']) recipient.signing_order = Number(options['signing-order']);
+  return recipient;
+}
+
+// "Found N thing(s)" followed by one rendered block per item
+function formatList(items, view) {
+  let output = `Found ${items.length} ${view.label}(s)\n`;
+  if (items.length > 0) {
+    output += `\n${items.map(item => view.item(item)).join('\n')}`;
+  }
+  return output;
+}
+
+// Title line followed by "  Label: value" lines, skipping empty values
+function formatConfirmation(title, details) {
+  let output = title;
+  for (const [label, value] of Object.entries(details)) {
+    if (value !== undefined && value !== null && value !== '') {
+      output += `\n  ${label}: ${value}`;
+    }
+  }
+  return output;
+}
+
+function formatSettings(settings) {
+  const formatOptions = options => Object.entries(options).map(([key, value]) => `${key}=${value}`).join(' ') || '(none)';
+  let output = `Config file: ${settings.file || '(none)'}\n`;
+  output += `Profile: ${settings.profile || '(none)'}`;
+  if (settings.profiles.length > 0) output += ` (available: ${settings.profiles.join(', ')})`;
+  output += `\nToken: ${settings.token}\n`;
+  output += `\nDefaults: ${formatOptions(settings.defaults)}\n`;
+  for (const [command, options] of Object.entries(settings.commands)) {
+    output += `${command} defaults: ${formatOptions(options)}\n`;
+  }
+  const searches = Object.entries(settings.searches);
+  output += `\nSaved searches (${searches.length})`;
+  for (const [name, { command, ...options }] of searches) {
+    output += `\n  @${name} (${command || 'any command'}): ${formatOptions(options)}`;
+  }
+  return output;
+}
+
+function formatMember(member) {
+  let output = `${member.first_name} ${member.last_name}\n`;
+  output += `  Email: ${member.email}\n`;
+  output += `  Member ID: ${member.id}`;
+  if (member.workspace) {
+    output += `\n  Workspace: ${member.workspace.name}`;
+  }
+  return output;
+}
+
+function formatAuditTrail(result) {
+  const events = result.results || result.events || [];
+  let output = `Audit Trail (${events.length} events)\n`;
+  for (const event of events) {
+    const date = formatDate(event.date || event.timestamp);
+    const actor = event.actor?.email || event.user_email || 'System';
+    output += `\n${date} - ${event.event_type || event.action}\n`;
+    output += `  By: ${actor}\n`;
+    if (event.details || event.description) {
+      output += `  ${event.details || event.description}\n`;
+    }
+  }
+  return output;
+}
+
+function formatFieldList(result) {
+  const fields = result.fields || [];
+  const lines = fields.map(field => {
+    const value = field.value !== undefined && field.value !== '' ? field.value : '(empty)';
+    return `${field.name}: ${value}`;
+  });
+  return `Document Fields (${fields.length})\n\n${lines.join('\n')}`;
+}
+
+function formatFieldChanges(result) {
+  if (result.changes.length === 0) {
+    return `No changes to ${result.name}`;
+  }
+  const show = value => (value === null || value === undefined || value === '' ? '(empty)' : JSON.stringify(value));
+  const blocks = result.changes.map(change => `${change.name} [${change.type}]\n  - ${show(change.before)}\n  + ${show(change.after)}`);
+  return `${result.dry_run ? 'Would update' : 'Updated'} ${result.changes.length} value(s) on ${result.name} (${result.id})\n\n${blocks.join('\n\n')}`;
+}
+
+function formatDownloads(files) {
+  return [].concat(files).map(file => `Downloaded to: ${file.path}\n  SHA-256: ${file.sha256}`).join('\n');
+}
+
+function formatExportStats(stats) {
+  let output = `Exported ${stats.total} document(s) to ${stats.out}\n`;
+  output += `  Downloaded: ${stats.downloaded}\n`;
+  output += `  Skipped (already verified): ${stats.skipped}\n`;
+  output += `  Failed: ${stats.failed}\n`;
+  for (const failure of stats.errors) {
+    output += `    ${failure.name} (${failure.id}): ${failure.error}\n`;
+  }
+  output += `  Manifest: ${stats.manifest}`;
+  return output;
+}
+
+function formatReminderRun(run) {
+  const verb = run.dry_run ? 'Would remind' : 'Reminded';
+  let output = `${run.dry_run ? 'Dry run: ' : ''}${run.documents.length} document(s) with outstanding signers\n`;
+  for (const entry of run.documents) {
+    output += `\n${entry.name}\n`;
+    output += `  ID: ${entry.id}\n`;
+    output += `  Sent: ${formatDate(entry.sent)}\n`;
+    output += entry.error ? `  Failed: ${entry.error}\n` : `  ${verb}: ${entry.recipients.join(', ')}\n`;
+  }
+  return output;
+}
+
+function formatAutoReminders(result) {
+  const options = result.options || result;
+  let output = `Automatic reminders\n`;
+  output += `  Enabled: ${result.enabled ? 'Yes' : 'No'}`;
+  if (options.first_reminder_days !== undefined) output += `\n  First reminder after: ${options.first_reminder_days} day(s)`;
+  if (options.repeat_reminder_days !== undefined) output += `\n  Repeat every: ${options.repeat_reminder_days} day(s)`;
+  return output;
+}
+
+function formatShareLinks(links) {
+  links = [].concat(links);
+  if (links.length === 0) return 'No pending signers';
+  return links.map(link => {
+    let output = `${link.name ? `${link.name} ` : ''}<${link.recipient}>\n`;
+    output += `  URL: ${link.url}\n`;
+    output += `  Expires: ${formatDate(link.expires_at)}\n`;
+    return output;
+  }).join('\n');
+}
+
+function formatDocumentDetails(doc) {
+  const status = STATUS_LABELS[doc.status] || doc.status;
+  
+  let output = `# ${doc.name}\n\n`;
+  output += `**ID:** ${doc.id}\n`;
+  output += `**Status:** ${status}\n`;
+  output += `**Created:** ${formatDate(doc.date_created)}\n`;
+  output += `**Modified:** ${formatDate(doc.date_modified)}\n`;
+  
+  if (doc.date_completed) {
+    output += `**Completed:** ${formatDate(doc.date_completed)}\n`;
+  }
+  
+  if (doc.expiration_date) {
+    output += `**Expires:** ${formatDate(doc.expiration_date)}\n`;
+  }
+  
+  // Recipients
+  if (doc.recipients && doc.recipients.length > 0) {
+    output += `\n## Recipients (${doc.recipients.length})\n`;
+    for (const recipient of doc.recipients) {
+      const recipientStatus = recipient.has_completed ? 'Completed' : 
+                              recipient.is_sender ? 'Sender' : 'Pending';
+      output += `- ${recipient.first_name} ${recipient.last_name} <${recipient.email}> [${recipient.role || 'Recipient'}] - ${recipientStatus}\n`;
+    }
+  }
+  
+  // Tokens/Fields summary
+  if (doc.tokens && doc.tokens.length > 0) {
+    output += `\n## Fields (${doc.tokens.length})\n`;
+    for (const token of doc.tokens.slice(0, 10)) {
+      const value = token.value !== undefined && token.value !== '' ? token.value : '(empty)';
+      output += `- ${token.name}: ${value}\n`;
+    }
+    if (doc.tokens.length > 10) {
       output += `  ... and ${doc.tokens.length - 10} more fields\n`;
     }
   }
   
-  // Grand total if present
-  if (doc.grand_total) {
-    output += `\n**Grand Total:** ${doc.grand_total.currency || 'USD'} ${doc.grand_total.amount}\n`;
+  // Grand total if present
+  if (doc.grand_total) {
+    output += `\n**Grand Total:** ${doc.grand_total.currency || 'USD'} ${doc.grand_total.amount}\n`;
+  }
+  
+  return output;
+}
+
+// Output helpers
+
+// Formats accepted by --format; summary is the human-readable renderer
+const OUTPUT_FORMATS = ['json', 'summary', 'table', 'csv', 'ndjson', 'markdown'];
+
+// Resolve --format (or the --json/--ndjson/--summary shorthands) into
+// options.format, keeping the summary/ndjson flags in step with it
+function resolveOutputFormat(options, defaultFormat = 'json') {
+  let format = options.format;
+  if (format === undefined || format === true) {
+    format = options.json ? 'json' : options.ndjson ? 'ndjson' : options.summary ? 'summary' : defaultFormat;
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format '${format}' (available: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  options.format = format;
+  options.summary = format === 'summary';
+  options.ndjson = format === 'ndjson';
+  return format;
+}
+
+function selectedFields(options) {
+  if (!options.fields || options.fields === true) return null;
+  return String(options.fields).split(',').map(field => field.trim()).filter(Boolean);
+}
+
+// Read a dotted path such as grand_total.amount or recipients.0.email
+function getField(row, field) {
+  return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), row);
+}
+
+function projectRow(row, fields) {
+  const projected = {};
+  for (const field of fields) {
+    projected[field] = getField(row, field);
+  }
+  return projected;
+}
+
+// Text for one table/CSV cell; lists of plain values are joined with "; "
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) {
+    return value.every(item => item === null || typeof item !== 'object')
+      ? value.join('; ')
+      : JSON.stringify(value);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Default columns when a view doesn't name any: the plain-valued keys
+function inferFields(rows) {
+  const fields = [];
+  for (const row of rows.slice(0, 20)) {
+    for (const [key, value] of Object.entries(row || {})) {
+      if (!fields.includes(key) && (value === null || typeof value !== 'object')) fields.push(key);
+    }
+  }
+  return fields;
+}
+
+// Quote a CSV value when it contains separators, quotes or newlines
+function csvEscape(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownEscape(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+// Render rows as an aligned plain-text table; numeric columns align right
+function formatTable(fields, cells, options = {}) {
+  const numeric = fields.map((field, i) => cells.length > 0 && cells.every(row => row[i] === '' || /^-?[\d.,]+%?$/.test(row[i])));
+  const widths = fields.map((field, i) => Math.max(options.header === false ? 0 : field.length, ...cells.map(row => row[i].length)));
+  const pad = (text, i) => (numeric[i] ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+  
+  const lines = [];
+  if (options.header !== false) {
+    lines.push(fields.map((field, i) => pad(field, i)).join('  ').trimEnd());
+    lines.push(widths.map(width => '-'.repeat(width)).join('  '));
+  }
+  for (const row of cells) {
+    lines.push(row.map((text, i) => pad(text, i)).join('  ').trimEnd());
+  }
+  return lines.join('\n');
+}
+
+function formatMarkdown(fields, cells, options = {}) {
+  const lines = [];
+  if (options.header !== false) {
+    lines.push(`| ${fields.map(markdownEscape).join(' | ')} |`);
+    lines.push(`| ${fields.map(() => '---').join(' | ')} |`);
+  }
+  for (const row of cells) {
+    lines.push(`| ${row.map(markdownEscape).join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+// Render a list of records in any tabular --format
+function renderRows(rows, options, defaultFields) {
+  const fields = selectedFields(options) || defaultFields || inferFields(rows);
+  const header = !options['no-header'];
+  
+  switch (options.format) {
+    case 'json':
+      return JSON.stringify(rows.map(row => projectRow(row, fields)), null, 2);
+    case 'ndjson':
+      return rows.map(row => JSON.stringify(options.fields ? projectRow(row, fields) : row)).join('\n');
+    default: {
+      const cells = rows.map(row => fields.map(field => cellText(getField(row, field))));
+      if (options.format === 'csv') {
+        const lines = header ? [fields.map(csvEscape).join(',')] : [];
+        return lines.concat(cells.map(row => row.map(csvEscape).join(','))).join('\n');
+      }
+      return options.format === 'markdown'
+        ? formatMarkdown(fields, cells, { header })
+        : formatTable(fields, cells, { header });
+    }
+  }
+}
+
+// Print a command result in the selected --format. A view names the summary
+// renderer (summary for the whole result, or item + label for lists), how to
+// get rows out of the result, and the default columns.
+function printResult(result, options, view = {}) {
+  const format = options.format || 'json';
+  if (format === 'json' && !selectedFields(options)) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  
+  const single = !view.rows && !Array.isArray(result);
+  const rows = view.rows ? view.rows(result) : [].concat(result);
+  if (format === 'json' && single) {
+    console.log(JSON.stringify(projectRow(result, selectedFields(options)), null, 2));
+  } else if (format === 'summary' && view.summary) {
+    console.log(view.summary(result));
+  } else if (format === 'summary' && view.item) {
+    console.log(formatList(rows, view));
+  } else {
+    const fields = typeof view.fields === 'function' ? view.fields(result) : view.fields;
+    const output = renderRows(rows, { ...options, format: format === 'summary' ? 'table' : format }, fields);
+    if (output) console.log(output);
+  }
+}
+
+// Views for each kind of result
+const VIEWS = {
+  documents: { label: 'document', item: formatDocument, rows: result => result.results || [], fields: ['id', 'name', 'status', 'date_created', 'date_modified'] },
+  document: { summary: formatDocument, fields: ['id', 'name', 'status', 'date_created', 'date_modified'] },
+  documentDetails: { summary: formatDocumentDetails, fields: ['id', 'name', 'status', 'date_created', 'date_modified', 'grand_total.amount', 'grand_total.currency'] },
+  templateDetails: { summary: formatTemplateDetails, rows: templateInventory, fields: ['kind', 'name', 'role', 'detail'] },
+  templates: { label: 'template', item: formatTemplate, rows: result => result.results || [], fields: ['id', 'name', 'date_created', 'date_modified', 'tags'] },
+  folders: { label: 'folder', item: formatFolder, rows: result => result.results || [], fields: ['uuid', 'name', 'date_created'] },
+  folder: { summary: formatFolder, fields: ['uuid', 'name', 'date_created'] },
+  folderTree: { summary: formatFolderTree, rows: result => folderTreeRows(result.folders), fields: ['path', 'uuid', 'count', 'total'] },
+  move: { summary: formatMoveRun, rows: result => result.items, fields: ['id', 'name', 'moved', 'error'] },
+  member: { summary: formatMember, fields: ['id', 'email', 'first_name', 'last_name', 'workspace.name'] },
+  auditTrail: { summary: formatAuditTrail, rows: result => result.results || result.events || [] },
+  fieldChanges: { summary: formatFieldChanges, rows: result => result.changes, fields: ['name', 'kind', 'type', 'before', 'after'] },
+  fields: { summary: formatFieldList, rows: result => result.fields || [], fields: ['name', 'type', 'value'] },
+  downloads: { summary: formatDownloads, fields: ['path', 'type', 'size', 'sha256'] },
+  recipients: { summary: recipients => formatRecipients(recipients), fields: ['signing_order', 'first_name', 'last_name', 'email', 'role', 'has_completed', 'id'] },
+  reminders: { summary: formatReminderRun, rows: result => result.documents, fields: ['id', 'name', 'status', 'sent', 'recipients', 'reminded', 'error'] },
+  autoReminders: { summary: formatAutoReminders },
+  shareLinks: { summary: formatShareLinks, fields: ['recipient', 'name', 'url', 'expires_at'] },
+  exportStats: { summary: formatExportStats, fields: ['out', 'total', 'downloaded', 'skipped', 'failed', 'manifest'] },
+  webhookSubscriptions: { label: 'webhook subscription', item: formatWebhookSubscription, rows: result => result.items || result.results || [], fields: ['uuid', 'name', 'url', 'active', 'triggers'] },
+  webhookSubscription: { summary: formatWebhookSubscription, fields: ['uuid', 'name', 'url', 'active', 'triggers'] },
+  webhookEvents: { label: 'webhook event', item: formatWebhookEvent, fields: ['uuid', 'delivery_time', 'type', 'http_status_code', 'error'] },
+  webhookEvent: { summary: formatWebhookEventDetails, fields: ['uuid', 'delivery_time', 'type', 'http_status_code', 'error'] },
+  documentMatches: {
+    label: 'document',
+    item: doc => formatDocument(doc) + doc.matches.map(match => `  Match: ${match}\n`).join(''),
+    rows: result => result.results || [],
+    fields: ['id', 'name', 'status', 'date_modified', 'matches']
+  },
+  syncStats: { summary: formatSyncStats, fields: ['out', 'full', 'since', 'updated', 'removed', 'failed', 'documents', 'checkpoint'] },
+  stale: {
+    summary: formatStale,
+    rows: staleRows,
+    fields: result => [...(result.groups ? ['group'] : []), 'id', 'name', 'owner', 'status', 'days_outstanding', 'expiration_date', 'expires_in_days', 'waiting_on']
+  },
+  evidence: { summary: formatEvidence, rows: result => result.files, fields: ['file', 'size', 'fetched_at', 'sha256', 'source'] },
+  bulkSend: { summary: formatBulkSendReport, rows: result => result.rows, fields: ['row', 'key', 'recipient', 'status', 'document_id', 'error'] },
+  pricing: { summary: formatPricing, rows: result => result.lines, fields: ['table', 'section', 'name', 'sku', 'qty', 'price', 'discount', 'tax', 'subtotal', 'currency'] },
+  pricingDocuments: {
+    summary: result => [
+      ...result.documents.map(formatPricing),
+      ...(result.errors.length > 0 ? [`Failed: ${result.errors.length}\n${result.errors.map(failure => `  ${failure.id}: ${failure.error}`).join('\n')}\n`] : [])
+    ].join('\n'),
+    rows: result => result.documents.flatMap(pricing => pricing.lines),
+    fields: ['document_id', 'document_name', 'table', 'section', 'name', 'sku', 'qty', 'price', 'discount', 'tax', 'subtotal', 'currency']
+  },
+  contacts: { label: 'contact', item: formatContact, rows: result => (Array.isArray(result) ? result : result.results || []), fields: ['id', 'email', 'first_name', 'last_name', 'company'] },
+  contact: { summary: formatContact, fields: ['id', 'email', 'first_name', 'last_name', 'company', 'job_title', 'phone'] },
+  contactImport: { summary: formatContactImport, rows: result => result.rows, fields: ['row', 'email', 'action', 'reason', 'id', 'error'] },
+  report: {
+    summary: result => renderRows(reportTableRows(result.groups).rows, { format: 'table' }, reportTableRows(result.groups).fields),
+    rows: result => reportTableRows(result.groups).rows,
+    fields: result => reportTableRows(result.groups).fields
+  },
+};
+
+// Document filters shared by list and the commands that walk documents
+function buildListParams(options) {
+  const params = {};
+  if (options.q || options.query) params.q = options.q || options.query;
+  if (options.s || options.status) {
+    const status = options.s || options.status;
+    params.status = STATUS_MAP[status.toLowerCase()] || status;
+  }
+  if (options.t || options.tag) params.tag = options.t || options.tag;
+  if (options.template) params.templateId = options.template;
+  if (options.folder) params.folderUuid = options.folder;
+  if (options.contact) params.contactId = options.contact;
+  if (options.n || options.count) params.count = options.n || options.count;
+  if (options.p || options.page) params.page = options.p || options.page;
+  if (options.order) params.orderBy = options.order;
+  if (options.deleted) params.deleted = true;
+  if (options['created-from']) params.createdFrom = options['created-from'];
+  if (options['created-to']) params.createdTo = options['created-to'];
+  if (options['modified-from']) params.modifiedFrom = options['modified-from'];
+  if (options['modified-to']) params.modifiedTo = options['modified-to'];
+  if (options['completed-from']) params.completedFrom = options['completed-from'];
+  if (options['completed-to']) params.completedTo = options['completed-to'];
+  return params;
+}
+
+// Pagination helpers
+
+// Largest page size the list endpoints accept
+const MAX_PAGE_SIZE = 100;
+
+// Walk a paged endpoint lazily, yielding one item at a time until results
+// run out or the limit is reached
+function* paginate(fetchPage, params = {}, options = {}) {
+  const pageSize = Math.min(Number(params.count) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+  const limit = options.limit ? Number(options.limit) : Infinity;
+  let page = Number(params.page) || 1;
+  let yielded = 0;
+  
+  while (yielded < limit) {
+    const result = fetchPage({ ...params, count: pageSize, page });
+    const items = result.results || result.items || [];
+    for (const item of items) {
+      if (yielded >= limit) return;
+      yield item;
+      yielded++;
+    }
+    if (items.length < pageSize) return;
+    page++;
+  }
+}
+
+// --all/--limit walk every page; --ndjson alone streams the single page
+function isStreamingOutput(options) {
+  return Boolean(options.all || options.limit || options.ndjson);
+}
+
+function* pageItems(fetchPage, params, options) {
+  if (options.all || options.limit) {
+    yield* paginate(fetchPage, params, { limit: options.limit });
+  } else {
+    const result = fetchPage(params);
+    yield* (result.results || result.items || []);
+  }
+}
+
+// Print items as they arrive in the selected --format. Table and Markdown
+// need every row to align columns, so only those buffer. Returns the count.
+function printItems(items, options, view) {
+  const format = options.format || 'json';
+  const fields = selectedFields(options);
+  let total = 0;
+  
+  if (format === 'ndjson') {
+    for (const item of items) {
+      console.log(JSON.stringify(fields ? projectRow(item, fields) : item));
+      total++;
+    }
+  } else if (format === 'summary') {
+    for (const item of items) {
+      console.log(view.item(item));
+      total++;
+    }
+    console.log(`Found ${total} ${view.label}(s)`);
+  } else if (format === 'csv') {
+    let columns = fields || view.fields;
+    for (const item of items) {
+      columns = columns || inferFields([item]);
+      if (total === 0 && !options['no-header']) {
+        console.log(columns.map(csvEscape).join(','));
+      }
+      console.log(columns.map(field => csvEscape(cellText(getField(item, field)))).join(','));
+      total++;
+    }
+  } else if (format === 'table' || format === 'markdown') {
+    const rows = [...items];
+    total = rows.length;
+    console.log(renderRows(rows, options, view.fields));
+  } else {
+    // Hold one item back so the separating comma can be written without
+    // knowing the total up front
+    const indent = json => json.replace(/^/gm, '    ');
+    let pending;
+    console.log('{\n  "results": [');
+    for (const item of items) {
+      if (pending !== undefined) console.log(`${indent(JSON.stringify(pending, null, 2))},`);
+      pending = fields ? projectRow(item, fields) : item;
+      total++;
+    }
+    if (pending !== undefined) console.log(indent(JSON.stringify(pending, null, 2)));
+    console.log(`  ],\n  "total": ${total}\n}`);
+  }
+  
+  return total;
+}
+
+// Export helpers
+
+const MANIFEST_COLUMNS = ['id', 'name', 'status', 'date_created', 'date_completed', 'recipients', 'total', 'currency', 'file', 'sha256', 'protected', 'fallback', 'details_file'];
+
+// Build the manifest entry for an exported document
+function buildManifestEntry(details, file, isProtected, detailsFile, fallback = null) {
+  return {
+    id: details.id,
+    name: details.name,
+    status: details.status,
+    date_created: details.date_created,
+    date_completed: details.date_completed || null,
+    recipients: (details.recipients || []).map(recipient => recipient.email).join('; '),
+    total: details.grand_total ? details.grand_total.amount : null,
+    currency: details.grand_total ? details.grand_total.currency : null,
+    file: file.path,
+    sha256: file.sha256,
+    protected: isProtected,
+    fallback,
+    details_file: detailsFile,
+  };
+}
+
+function writeManifest(outDir, manifest) {
+  writeJsonFile(path.join(outDir, 'manifest.json'), manifest);
+  const csvPath = path.join(outDir, 'manifest.csv');
+  fs.writeFileSync(`${csvPath}.tmp`, renderRows(manifest.documents, { format: 'csv' }, MANIFEST_COLUMNS) + '\n');
+  fs.renameSync(`${csvPath}.tmp`, csvPath);
+}
+
+// Mirror every matching document into outDir as <name>_<id>.pdf plus
+// <name>_<id>.details.json. Files that are already in the manifest and still
+// match their checksum are skipped, so an interrupted export can be re-run.
+function exportDocuments(client, params, outDir, options = {}) {
+  const manifestPath = path.join(outDir, 'manifest.json');
+  const previous = {};
+  if (fs.existsSync(manifestPath)) {
+    let documents = [];
+    try {
+      documents = JSON.parse(fs.readFileSync(manifestPath, 'utf8')).documents || [];
+    } catch (e) {
+      // Without a readable manifest nothing counts as verified, so every
+      // document is fetched again and the manifest rebuilt from scratch
+      if (options.onWarning) options.onWarning(`${manifestPath} is unreadable (${e.message}); rebuilding it`);
+    }
+    for (const entry of documents) {
+      previous[entry.id] = entry;
+    }
+  }
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+  
+  const manifest = { exported_at: new Date().toISOString(), filters: params, documents: [] };
+  const stats = { total: 0, downloaded: 0, skipped: 0, failed: 0, errors: [] };
+  
+  for (const doc of paginate(page => client.listDocuments(page), params, { limit: options.limit })) {
+    stats.total++;
+    const done = previous[doc.id];
+    if (done && !options.force && verifyDownload(done.file) && fs.existsSync(done.details_file)) {
+      manifest.documents.push(done);
+      stats.skipped++;
+      if (options.onProgress) options.onProgress('skipped', doc);
+      continue;
+    }
+    
+    try {
+      const details = client.getDocumentDetails(doc.id);
+      const baseName = `${doc.name.replace(/[^a-zA-Z0-9-_]/g, '_')}_${doc.id}`;
+      
+      // Completed documents have a protected copy with the signing
+      // certificate. Only "no protected copy" falls back to the regular PDF;
+      // auth, permission and rate limit errors fail the document.
+      let content = null;
+      let isProtected = false;
+      let fallback = null;
+      if (doc.status === DOCUMENT_STATUS.COMPLETED) {
+        try {
+          content = client.downloadProtectedDocument(doc.id);
+          isProtected = true;
+        } catch (e) {
+          if (!(e instanceof PandaDocError) || ![404, 409].includes(e.status)) throw e;
+          fallback = `no protected copy (HTTP ${e.status}: ${e.message})`;
+        }
+      }
+      if (!content) {
+        content = client.downloadDocument(doc.id);
+      }
+      
+      const file = saveDownload(content, path.join(outDir, `${baseName}.pdf`), { expectedType: 'pdf', force: true });
+      const detailsFile = path.join(outDir, `${baseName}.details.json`);
+      fs.writeFileSync(detailsFile, JSON.stringify(details, null, 2));
+      
+      manifest.documents.push(buildManifestEntry(details, file, isProtected, detailsFile, fallback));
+      stats.downloaded++;
+      if (options.onProgress) options.onProgress('downloaded', doc);
+    } catch (e) {
+      stats.failed++;
+      stats.errors.push({ id: doc.id, name: doc.name, error: e.message });
+      if (done) manifest.documents.push(done);
+      if (options.onProgress) options.onProgress('failed', doc, e);
+    }
+    
+    // Keep the manifest current so an interrupted run resumes from here
+    writeManifest(outDir, manifest);
+  }
+  
+  writeManifest(outDir, manifest);
+  return stats;
+}
+
+// Evidence helpers
+
+// Write a JSON evidence file and describe it for the manifest
+function writeEvidenceJson(outDir, name, data, source, fetchedAt) {
+  const content = Buffer.from(JSON.stringify(data, null, 2) + '\n');
+  fs.writeFileSync(path.join(outDir, name), content);
+  return { file: name, source, fetched_at: fetchedAt, size: content.length, sha256: sha256(content) };
+}
+
+// Markdown overview of a bundle for people who won't read the JSON
+function buildEvidenceSummary(details, auditTrail, fields, manifest) {
+  const cell = value => String(value === undefined || value === null || value === '' ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const events = auditTrail.results || auditTrail.events || [];
+  
+  let output = `# Evidence: ${details.name}\n\n`;
+  output += `- **Document ID:** ${details.id}\n`;
+  output += `- **Status:** ${STATUS_LABELS[details.status] || details.status}\n`;
+  output += `- **Created:** ${details.date_created || 'N/A'}\n`;
+  output += `- **Sent:** ${details.date_sent || 'N/A'}\n`;
+  output += `- **Completed:** ${details.date_completed || 'N/A'}\n`;
+  if (details.grand_total) {
+    output += `- **Grand total:** ${details.grand_total.currency} ${details.grand_total.amount}\n`;
+  }
+  output += `- **Bundle generated:** ${manifest.generated_at}\n`;
+  if (!manifest.protected_pdf) {
+    output += `\n> The document was not completed when this bundle was generated; document.pdf is the regular download without the signing certificate.\n`;
+  }
+  
+  output += `\n## Recipients\n\n| Name | Email | Role | Completed |\n| --- | --- | --- | --- |\n`;
+  for (const recipient of details.recipients || []) {
+    const name = [recipient.first_name, recipient.last_name].filter(Boolean).join(' ');
+    output += `| ${cell(name)} | ${cell(recipient.email)} | ${cell(recipient.role)} | ${recipient.has_completed ? 'Yes' : 'No'} |\n`;
+  }
+  
+  output += `\n## Audit trail (${events.length} event(s))\n\n| Time | Event | By | Details |\n| --- | --- | --- | --- |\n`;
+  for (const event of events) {
+    const actor = (event.actor && event.actor.email) || event.user_email || 'System';
+    output += `| ${cell(event.date || event.timestamp)} | ${cell(event.event_type || event.action)} | ${cell(actor)} | ${cell(event.details || event.description)} |\n`;
+  }
+  
+  output += `\n## Field values\n\n| Field | Value |\n| --- | --- |\n`;
+  for (const field of fields.fields || []) {
+    output += `| ${cell(field.name)} | ${cell(typeof field.value === 'object' ? JSON.stringify(field.value) : field.value)} |\n`;
+  }
+  
+  output += `\n## Files\n\n| File | Fetched | SHA-256 |\n| --- | --- | --- |\n`;
+  for (const file of manifest.files) {
+    output += `| ${cell(file.file)} | ${cell(file.fetched_at)} | \`${file.sha256}\` |\n`;
+  }
+  output += `\nVerify the files with \`sha256sum -c SHA256SUMS\` in this directory.\n`;
+  return output;
+}
+
+// Collect everything about a document into outDir: protected PDF, audit
+// trail, details and field values, then summary.md, manifest.json (hashes
+// and fetch times of all of those) and SHA256SUMS covering every file
+function collectEvidence(client, documentId, outDir, options = {}) {
+  const fetched = () => new Date().toISOString();
+  
+  let fetchedAt = fetched();
+  const details = client.getDocumentDetails(documentId);
+  const completed = details.status === DOCUMENT_STATUS.COMPLETED;
+  if (!completed && !options.force) {
+    throw new Error(`Document is ${STATUS_LABELS[details.status] || details.status}, not Completed; evidence bundles are for signed documents (use --force to collect anyway)`);
+  }
+  
+  // Only this document's earlier bundle may be replaced, and only the files
+  // its manifest lists are removed
+  const previous = fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0
+    ? readEvidenceManifest(outDir, documentId, options.force)
+    : null;
+  
+  // The bundle is built next to outDir and swapped in once it is complete,
+  // so a failed fetch leaves the old bundle (or nothing) behind
+  fs.mkdirSync(path.dirname(path.resolve(outDir)), { recursive: true });
+  const workDir = fs.mkdtempSync(path.join(path.dirname(path.resolve(outDir)), `.${path.basename(path.resolve(outDir))}-`));
+  let manifest;
+  try {
+    const files = [];
+    files.push(writeEvidenceJson(workDir, 'details.json', details, `GET /public/v1/documents/${documentId}/details`, fetchedAt));
+    
+    // Only completed documents have a protected copy with the signing certificate
+    fetchedAt = fetched();
+    const pdf = completed ? client.downloadProtectedDocument(documentId) : client.downloadDocument(documentId);
+    if (detectFileType(pdf) !== 'pdf') {
+      throw new Error(`Downloaded content is not a valid PDF (${pdf.length} bytes)`);
+    }
+    // No .sha256 sidecar here: SHA256SUMS covers the PDF with everything else
+    fs.writeFileSync(path.join(workDir, 'document.pdf'), pdf);
+    files.push({
+      file: 'document.pdf',
+      source: `GET /public/v1/documents/${documentId}/${completed ? 'download-protected' : 'download'}`,
+      fetched_at: fetchedAt,
+      size: pdf.length,
+      sha256: sha256(pdf)
+    });
+    
+    fetchedAt = fetched();
+    const auditTrail = client.getDocumentAuditTrail(documentId);
+    files.push(writeEvidenceJson(workDir, 'audit-trail.json', auditTrail, `GET /public/v2/documents/${documentId}/audit-trail`, fetchedAt));
+    
+    fetchedAt = fetched();
+    const fields = client.listDocumentFields(documentId);
+    files.push(writeEvidenceJson(workDir, 'fields.json', fields, `GET /public/v1/documents/${documentId}/fields`, fetchedAt));
+    
+    manifest = {
+      document_id: documentId,
+      name: details.name,
+      status: details.status,
+      protected_pdf: completed,
+      generated_at: fetched(),
+      files
+    };
+    
+    const summary = Buffer.from(buildEvidenceSummary(details, auditTrail, fields, manifest));
+    fs.writeFileSync(path.join(workDir, 'summary.md'), summary);
+    manifest.files.push({ file: 'summary.md', source: 'generated', fetched_at: manifest.generated_at, size: summary.length, sha256: sha256(summary) });
+    
+    const manifestContent = Buffer.from(JSON.stringify(manifest, null, 2) + '\n');
+    fs.writeFileSync(path.join(workDir, 'manifest.json'), manifestContent);
+    const sums = [...manifest.files, { file: 'manifest.json', sha256: sha256(manifestContent) }];
+    fs.writeFileSync(path.join(workDir, 'SHA256SUMS'), sums.map(file => `${file.sha256}  ${file.file}\n`).join(''));
+  } catch (e) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    throw e;
+  }
+  
+  if (previous) {
+    for (const file of evidenceBundleFiles(previous)) {
+      fs.rmSync(path.join(outDir, file), { force: true });
+    }
+  }
+  if (fs.existsSync(outDir)) {
+    for (const file of fs.readdirSync(workDir)) {
+      fs.renameSync(path.join(workDir, file), path.join(outDir, file));
+    }
+    fs.rmdirSync(workDir);
+  } else {
+    fs.renameSync(workDir, outDir);
+  }
+  
+  return { out: outDir, ...manifest };
+}
+
+// The manifest of the evidence bundle for documentId in a non-empty outDir.
+// Refuses unless forced, and refuses anything else (an export, another
+// document's bundle) even then.
+function readEvidenceManifest(outDir, documentId, force) {
+  if (!force) {
+    throw new Error(`Output directory is not empty: ${outDir} (use --force to replace the bundle)`);
+  }
+  let manifest = null;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf8'));
+  } catch (e) {
+    // Missing or unreadable: not a bundle this command wrote
+  }
+  if (!manifest || manifest.document_id !== documentId || !Array.isArray(manifest.files)) {
+    throw new Error(`Output directory is not an evidence bundle for ${documentId}: ${outDir}; choose another --out`);
+  }
+  return manifest;
+}
+
+// Files of an existing bundle: those its manifest lists, plus the manifest
+// and SHA256SUMS. Names with a path in them are ignored.
+function evidenceBundleFiles(manifest) {
+  return [...manifest.files.map(file => file && file.file), 'manifest.json', 'SHA256SUMS']
+    .filter(file => typeof file === 'string' && file !== '' && file === path.basename(file) && file !== '.' && file !== '..');
+}
+
+function formatEvidence(bundle) {
+  let output = `Evidence bundle for ${bundle.name} written to ${bundle.out}\n`;
+  if (!bundle.protected_pdf) {
+    output += `  Warning: document is ${STATUS_LABELS[bundle.status] || bundle.status}; document.pdf has no signing certificate\n`;
+  }
+  for (const file of bundle.files) {
+    output += `  ${file.file.padEnd(16)} ${file.sha256}\n`;
+  }
+  output += `  Verify with: (cd ${bundle.out} && sha256sum -c SHA256SUMS)`;
+  return output;
+}
+
+// Folder helpers
+
+// Folder endpoints for documents, or for templates with --templates
+function folderApi(client, templates) {
+  return templates ? {
+    kind: 'template',
+    listFolders: params => client.listTemplateFolders(params),
+    createFolder: folder => client.createTemplateFolder(folder),
+    renameFolder: (folderId, name) => client.renameTemplateFolder(folderId, name),
+    listItems: params => client.listTemplates(params),
+    moveItem: (id, folderId) => client.moveTemplateToFolder(id, folderId)
+  } : {
+    kind: 'document',
+    listFolders: params => client.listDocumentFolders(params),
+    createFolder: folder => client.createDocumentFolder(folder),
+    renameFolder: (folderId, name) => client.renameDocumentFolder(folderId, name),
+    listItems: params => client.listDocuments(params),
+    moveItem: (id, folderId) => client.moveDocumentToFolder(id, folderId)
+  };
+}
+
+// Walk the folders under parentUuid (the top level when unset) by their
+// parent UUIDs. Each node counts the items directly in it (count) and in
+// its whole subtree (total), unless counts are turned off.
+function buildFolderTree(api, parentUuid, options = {}, depth = 1) {
+  const params = parentUuid ? { parent_uuid: parentUuid } : {};
+  const nodes = [];
+  for (const folder of paginate(page => api.listFolders(page), params)) {
+    const children = options.depth && depth >= Number(options.depth) ? [] : buildFolderTree(api, folder.uuid, options, depth + 1);
+    const count = options.counts === false ? null : [...paginate(page => api.listItems(page), { folderUuid: folder.uuid })].length;
+    nodes.push({
+      uuid: folder.uuid,
+      name: folder.name,
+      count,
+      total: count === null ? null : count + children.reduce((sum, child) => sum + child.total, 0),
+      children
+    });
+  }
+  return nodes;
+}
+
+// One row per folder with its slash-separated path, parents first
+function folderTreeRows(nodes, prefix = '') {
+  return nodes.flatMap(node => [
+    { path: `${prefix}${node.name}`, uuid: node.uuid, count: node.count, total: node.total },
+    ...folderTreeRows(node.children, `${prefix}${node.name}/`)
+  ]);
+}
+
+function formatFolderTree(tree) {
+  const lines = [];
+  const walk = (nodes, indent) => nodes.forEach((node, index) => {
+    const last = index === nodes.length - 1;
+    const counts = node.count === null ? '' : node.children.length > 0 ? ` (${node.count}, ${node.total} in total)` : ` (${node.count})`;
+    lines.push(`${indent}${last ? '└── ' : '├── '}${node.name}${counts}  ${node.uuid}`);
+    walk(node.children, `${indent}${last ? '    ' : '│   '}`);
+  });
+  
+  walk(tree.folders, '');
+  const heading = `${tree.kind === 'template' ? 'Template' : 'Document'} folders${tree.parent ? ` under ${tree.parent}` : ''}`;
+  return `${heading}\n${lines.length > 0 ? lines.join('\n') : '(no folders)'}`;
+}
+
+function formatMoveRun(run) {
+  const verb = run.dry_run ? 'Would move' : 'Moved';
+  let output = `${run.dry_run ? 'Dry run: ' : ''}${verb} ${run.moved} ${run.kind}(s) to folder ${run.folder}`;
+  if (run.failed > 0) output += `; ${run.failed} failed`;
+  output += '\n';
+  for (const item of run.items) {
+    output += `  ${item.name ? `${item.name} (${item.id})` : item.id}${item.error ? `: ${item.error}` : ''}\n`;
+  }
+  return output;
+}
+
+// Sync cache helpers
+
+// Commands that can answer from the sync cache with --offline
+const OFFLINE_COMMANDS = ['list', 'get', 'details', 'fields'];
+
+// Page size of the list endpoint when --count isn't given
+const DEFAULT_PAGE_SIZE = 50;
+
+// A cache holds state.json (the checkpoint), documents.json (list entries by
+// ID) and documents/<id>.json (details and field values of each document)
+function cachePaths(cacheDir) {
+  return {
+    state: path.join(cacheDir, 'state.json'),
+    index: path.join(cacheDir, 'documents.json'),
+    documents: path.join(cacheDir, 'documents')
+  };
+}
+
+// Bring the cache up to date. After the first run only documents modified
+// since the checkpoint are listed and refetched, and documents deleted since
+// are dropped. The checkpoint only moves when every document synced, so a
+// failed document is picked up again next time.
+function syncDocuments(client, cacheDir, options = {}) {
+  const paths = cachePaths(cacheDir);
+  const previous = fs.existsSync(paths.state) ? JSON.parse(fs.readFileSync(paths.state, 'utf8')) : {};
+  const known = fs.existsSync(paths.index) ? JSON.parse(fs.readFileSync(paths.index, 'utf8')) : {};
+  const full = Boolean(options.full || !previous.checkpoint);
+  const startedAt = new Date().toISOString();
+  const params = full ? {} : { modifiedFrom: previous.checkpoint };
+  
+  const index = full ? {} : { ...known };
+  const stats = { out: cacheDir, full, since: full ? null : previous.checkpoint, listed: 0, updated: 0, removed: 0, failed: 0, errors: [] };
+  
+  // The checkpoint is the newest date_modified PandaDoc reported, not the
+  // local clock, so clock skew can't skip documents changed during the run
+  let latest = null;
+  const seen = doc => {
+    if (doc.date_modified && (!latest || new Date(doc.date_modified) > new Date(latest))) latest = doc.date_modified;
+  };
+  
+  for (const doc of paginate(page => client.listDocuments(page), params)) {
+    stats.listed++;
+    seen(doc);
+    try {
+      const details = client.getDocumentDetails(doc.id);
+      const fields = client.listDocumentFields(doc.id);
+      writeJsonFile(path.join(paths.documents, `${doc.id}.json`), { synced_at: new Date().toISOString(), details, fields });
+      index[doc.id] = doc;
+      stats.updated++;
+      if (options.onProgress) options.onProgress('updated', doc);
+    } catch (e) {
+      stats.failed++;
+      stats.errors.push({ id: doc.id, name: doc.name, error: e.message });
+      if (known[doc.id]) index[doc.id] = known[doc.id];
+      if (options.onProgress) options.onProgress('failed', doc, e);
+    }
+  }
+  
+  // A full sync rebuilds the index, so anything left over is gone upstream.
+  // An incremental sync assumes deleting a document updates its
+  // date_modified, so deleted=true with modified_from lists it; the API docs
+  // don't promise that, and `sync --full` catches anything it misses.
+  const removed = full
+    ? Object.keys(known).filter(id => !index[id])
+    : [...paginate(page => client.listDocuments(page), { ...params, deleted: true })].map(doc => {
+      seen(doc);
+      return doc.id;
+    }).filter(id => index[id]);
+  for (const id of removed) {
+    delete index[id];
+    fs.rmSync(path.join(paths.documents, `${id}.json`), { force: true });
+    stats.removed++;
+    if (options.onProgress) options.onProgress('removed', known[id]);
+  }
+  
+  const checkpoint = stats.failed > 0 ? previous.checkpoint || null : latest || previous.checkpoint || startedAt;
+  writeJsonFile(paths.index, index);
+  writeJsonFile(paths.state, {
+    checkpoint,
+    last_sync: startedAt,
+    documents: Object.keys(index).length
+  });
+  
+  stats.documents = Object.keys(index).length;
+  stats.checkpoint = checkpoint;
+  return stats;
+}
+
+// Open the cache for --offline; fails when nothing has been synced there yet
+function openCache(cacheDir) {
+  const paths = cachePaths(cacheDir);
+  if (!fs.existsSync(paths.state) || !fs.existsSync(paths.index)) {
+    throw new Error(`No sync cache in ${cacheDir} (run: pandadoc sync --out ${cacheDir})`);
+  }
+  return {
+    dir: cacheDir,
+    state: JSON.parse(fs.readFileSync(paths.state, 'utf8')),
+    documents: JSON.parse(fs.readFileSync(paths.index, 'utf8'))
+  };
+}
+
+// A cached document's list entry, details and field values
+function readCachedDocument(cache, documentId) {
+  const file = path.join(cachePaths(cache.dir).documents, `${documentId}.json`);
+  if (!cache.documents[documentId] || !fs.existsSync(file)) {
+    throw new Error(`Document ${documentId} is not in the sync cache (last synced ${cache.state.last_sync})`);
+  }
+  return { document: cache.documents[documentId], ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+// Token and field values containing any of the search terms
+function searchCachedValues(cached, terms) {
+  const values = [
+    ...(cached.details.tokens || []).map(token => ({ label: `${token.name} (token)`, value: token.value })),
+    ...((cached.fields || {}).fields || []).map(field => ({ label: `${field.name || field.field_id} (field)`, value: field.value }))
+  ].filter(entry => entry.value !== undefined && entry.value !== null && entry.value !== '');
+  
+  const text = value => (typeof value === 'object' ? JSON.stringify(value) : String(value)).toLowerCase();
+  const hits = values.filter(entry => terms.some(term => text(entry.value).includes(term)));
+  const matched = terms.every(term => hits.some(entry => text(entry.value).includes(term)));
+  return matched ? hits.map(entry => `${entry.label}: ${cellText(entry.value)}`) : null;
+}
+
+// Apply the list filters from buildListParams to the cached documents, plus
+// a full-text search over token and field values. Returns every match, in
+// --order (most recently modified first by default).
+function queryCache(cache, params, search) {
+  if (params.folderUuid || params.deleted) {
+    throw new Error(`--${params.folderUuid ? 'folder' : 'deleted'} isn't available offline; the sync cache doesn't record it`);
+  }
+  
+  const time = value => (value ? Date.parse(value) : NaN);
+  const inRange = (value, from, to) => (!from || time(value) >= time(from)) && (!to || time(value) <= time(to));
+  const terms = search ? String(search).toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const needsDetails = terms.length > 0 || params.tag || params.templateId || params.contactId || params.completedFrom || params.completedTo;
+  
+  const results = [];
+  for (const doc of Object.values(cache.documents)) {
+    if (params.status && doc.status !== params.status) continue;
+    if (params.q && ![doc.name, doc.id].some(value => String(value || '').toLowerCase().includes(String(params.q).toLowerCase()))) continue;
+    if (!inRange(doc.date_created, params.createdFrom, params.createdTo)) continue;
+    if (!inRange(doc.date_modified, params.modifiedFrom, params.modifiedTo)) continue;
+    if (!needsDetails) {
+      results.push(doc);
+      continue;
+    }
+    
+    const cached = readCachedDocument(cache, doc.id);
+    const details = cached.details;
+    if (params.tag && !(details.tags || []).includes(params.tag)) continue;
+    if (params.templateId && (details.template || {}).id !== params.templateId) continue;
+    if (params.contactId && !(details.recipients || []).some(recipient => recipient.contact_id === params.contactId || String(recipient.email).toLowerCase() === String(params.contactId).toLowerCase())) continue;
+    if ((params.completedFrom || params.completedTo) && !inRange(doc.date_completed || details.date_completed, params.completedFrom, params.completedTo)) continue;
+    
+    if (terms.length > 0) {
+      const matches = searchCachedValues(cached, terms);
+      if (!matches) continue;
+      results.push({ ...doc, matches });
+    } else {
+      results.push(doc);
+    }
+  }
+  
+  const order = params.orderBy || '-date_modified';
+  const key = order.replace(/^-/, '');
+  const direction = order.startsWith('-') ? -1 : 1;
+  return results.sort((a, b) => direction * String(getField(a, key) || '').localeCompare(String(getField(b, key) || '')));
+}
+
+// One page of query results, shaped like a list endpoint response
+function cachedListPage(documents, params) {
+  const count = Number(params.count) || DEFAULT_PAGE_SIZE;
+  const start = ((Number(params.page) || 1) - 1) * count;
+  return { results: documents.slice(start, start + count) };
+}
+
+function formatSyncStats(stats) {
+  let output = `Synced ${stats.out} (${stats.full ? 'full' : `changes since ${formatDate(stats.since)}`})\n`;
+  output += `  Updated: ${stats.updated}\n`;
+  output += `  Removed: ${stats.removed}\n`;
+  output += `  Failed: ${stats.failed}\n`;
+  for (const failure of stats.errors) {
+    output += `    ${failure.name} (${failure.id}): ${failure.error}\n`;
+  }
+  output += `  Documents cached: ${stats.documents}\n`;
+  output += stats.failed > 0 ? '  Checkpoint unchanged; failed documents are retried on the next sync' : `  Checkpoint: ${stats.checkpoint}`;
+  return output;
+}
+
+// Bulk send helpers
+
+// Metadata key tagging bulk-sent documents with their run and row, so an
+// interrupted create can be found again
+const BULK_SEND_METADATA_KEY = 'bulk_send';
+
+// Fill {{Column}} placeholders in every string of a mapping from a CSV row.
+// Columns the row doesn't have are added to `missing`.
+function fillPlaceholders(value, row, missing) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, column) => {
+      if (!Object.prototype.hasOwnProperty.call(row, column)) {
+        missing.add(column);
+        return '';
+      }
+      return row[column];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, row, missing));
+  }
+  if (value && typeof value === 'object') {
+    const filled = {};
+    for (const [key, item] of Object.entries(value)) {
+      filled[key] = fillPlaceholders(item, row, missing);
+    }
+    return filled;
+  }
+  return value;
+}
+
+// Build and validate one document per CSV row. The mapping is a document
+// spec (as for create --data) plus subject and message, with {{Column}}
+// placeholders. Rows are keyed by --key column, or by their recipients.
+function planBulkSend(csv, mapping, template, options = {}) {
+  const { headers, rows, lines } = csv;
+  const { subject, message, ...docSpec } = mapping;
+  const sendTemplate = {
+    subject: options.subject || subject,
+    message: options.message || message
+  };
+  
+  const missing = new Set();
+  fillPlaceholders(mapping, Object.fromEntries(headers.map(header => [header, ''])), missing);
+  if (options.subject || options.message) {
+    fillPlaceholders(sendTemplate, Object.fromEntries(headers.map(header => [header, ''])), missing);
+  }
+  if (missing.size > 0) {
+    throw new Error(`Mapping uses unknown column(s): ${[...missing].join(', ')} (columns: ${headers.join(', ')})`);
+  }
+  if (options.key && !headers.includes(options.key)) {
+    throw new Error(`Unknown --key column: ${options.key} (columns: ${headers.join(', ')})`);
+  }
+  
+  const seen = new Set();
+  return rows.map((row, index) => {
+    const line = lines[index];
+    const payload = buildDocumentPayload(fillPlaceholders(docSpec, row, missing), { templateId: options.templateId });
+    // Key rows by their recipients rather than line numbers, so state still
+    // matches after rows are added, removed or re-sorted
+    const key = options.key
+      ? row[options.key]
+      : (payload.recipients || []).map(recipient => String(recipient.email || '').toLowerCase()).filter(Boolean).sort().join(',');
+    const send = {};
+    for (const [option, value] of Object.entries(fillPlaceholders(sendTemplate, row, missing))) {
+      if (value) send[option] = value;
+    }
+    if (options.silent) send.silent = true;
+    
+    const errors = validateDocumentPayload(payload, template);
+    for (const recipient of payload.recipients) {
+      if (recipient.email && !/^[^@\s]+@[^@\s]+$/.test(recipient.email)) {
+        errors.push(`Invalid email '${recipient.email}'`);
+      }
+    }
+    if (!key) {
+      errors.push(options.key ? `Empty key column '${options.key}'` : 'No recipient email to identify the row by (use --key <column>)');
+    } else if (seen.has(key)) {
+      errors.push(options.key ? `Duplicate key '${key}'` : `Duplicate recipients '${key}' (use --key with a unique column to send them more than one document)`);
+    }
+    seen.add(key);
+    
+    return { row: line, key, payload, send, errors };
+  });
+}
+
+// Load the state of a previous run, or start a new one
+function loadBulkState(stateFile, run) {
+  if (!fs.existsSync(stateFile)) {
+    return { id: crypto.randomUUID(), ...run, started_at: new Date().toISOString(), rows: {} };
+  }
+  
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  if (state.template_uuid !== run.template_uuid) {
+    throw new Error(`State file ${stateFile} belongs to template ${state.template_uuid}; pass another --state to start a new run`);
+  }
+  return state;
+}
+
+function saveBulkState(stateFile, state) {
+  state.updated_at = new Date().toISOString();
+  writeJsonFile(stateFile, state);
+}
+
+// Create, wait for draft and send each planned row, recording progress in
+// the state file after every step. Rows already sent are skipped; a row
+// interrupted after its document was created picks that document up again.
+function bulkSendDocuments(client, plan, state, options = {}) {
+  const results = [];
+  
+  for (const entry of plan) {
+    const record = state.rows[entry.key];
+    const result = {
+      row: entry.row,
+      key: entry.key,
+      recipient: entry.payload.recipients.map(recipient => recipient.email).filter(Boolean).join('; '),
+      status: null,
+      document_id: record ? record.document_id || null : null,
+      error: null
+    };
+    results.push(result);
+    
+    if (entry.errors.length > 0) {
+      result.status = 'invalid';
+      result.error = entry.errors.join('; ');
+    } else if (record && record.status === 'sent') {
+      result.status = 'skipped';
+      result.error = 'already sent';
+    } else if (options.dryRun) {
+      result.status = 'valid';
+    } else {
+      const tag = `${state.id}:${entry.key}`;
+      const save = changes => {
+        state.rows[entry.key] = { ...state.rows[entry.key], row: entry.row, ...changes };
+        saveBulkState(options.stateFile, state);
+      };
+      
+      try {
+        let documentId = result.document_id;
+        if (!documentId && record) {
+          const found = client.listDocuments({ [`metadata_${BULK_SEND_METADATA_KEY}`]: tag });
+          documentId = ((found.results || [])[0] || {}).id || null;
+        }
+        if (!documentId) {
+          save({ status: 'creating' });
+          const payload = { ...entry.payload, metadata: { ...entry.payload.metadata, [BULK_SEND_METADATA_KEY]: tag } };
+          documentId = client.createDocument(payload).id;
+          save({ status: 'created', document_id: documentId });
+        }
+        result.document_id = documentId;
+        
+        // A document already sent or later was sent before the state caught
+        // up; one in an approval workflow can't be sent by us until approved
+        const doc = client.waitForStatus(documentId, DOCUMENT_STATUS.DRAFT, { timeout: options.timeout });
+        if (doc.status === DOCUMENT_STATUS.DRAFT) {
+          client.sendDocument(documentId, entry.send);
+        } else if (!hasReachedStatus(doc.status, DOCUMENT_STATUS.SENT)) {
+          const error = `Document is ${STATUS_LABELS[doc.status] || doc.status}; send it once approved with: pandadoc send ${documentId}`;
+          save({ status: 'awaiting_approval', error });
+          result.status = 'awaiting_approval';
+          result.error = error;
+          if (options.onProgress) options.onProgress(result);
+          continue;
+        }
+        save({ status: 'sent', error: null, sent_at: new Date().toISOString() });
+        result.status = 'sent';
+      } catch (e) {
+        save({ status: 'failed', error: e.message });
+        result.status = 'failed';
+        result.error = e.message;
+      }
+    }
+    
+    if (options.onProgress) options.onProgress(result);
+  }
+  
+  return results;
+}
+
+function formatBulkSendReport(report) {
+  const counts = {};
+  for (const entry of report.rows) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  
+  let output = `${report.dry_run ? 'Dry run: ' : ''}${report.rows.length} row(s) from ${report.csv}\n`;
+  if (report.dry_run) {
+    output += `  Valid: ${counts.valid || 0}\n`;
+  } else {
+    output += `  Sent: ${counts.sent || 0}\n`;
+    output += `  Awaiting approval: ${counts.awaiting_approval || 0}\n`;
+    output += `  Failed: ${counts.failed || 0}\n`;
+  }
+  output += `  Skipped (already sent): ${counts.skipped || 0}\n`;
+  output += `  Invalid: ${counts.invalid || 0}\n`;
+  output += `  State: ${report.state}`;
+  for (const entry of report.rows.filter(row => row.error && row.status !== 'skipped')) {
+    output += `\n    Row ${entry.row} ${entry.recipient || ''}: ${entry.error}`;
+  }
+  return output;
+}
+
+// Report helpers
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '';
+  const hours = ms / 3600000;
+  return hours < 24 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
+
+// Group key for a document's details
+const REPORT_GROUPS = {
+  template: details => (details.template && details.template.name) || 'No template',
+  month: details => (details.date_created || '').slice(0, 7) || 'Unknown',
+  owner: details => (details.created_by && details.created_by.email) || 'Unknown',
+};
+
+// Aggregate document details into funnel stats per group (plus a Total row).
+// Documents are added one at a time, so their details can be dropped once
+// counted; only the durations are kept for the medians.
+function createPipelineReport(groupBy) {
+  const groups = new Map();
+  const groupKey = REPORT_GROUPS[groupBy];
+  
+  const add = (key, details) => {
+    if (!groups.has(key)) {
+      groups.set(key, { group: key, documents: 0, statuses: {}, sent: 0, completed: 0, durations: [], value: {} });
+    }
+    const stats = groups.get(key);
+    stats.documents++;
+    const label = STATUS_LABELS[details.status] || details.status;
+    stats.statuses[label] = (stats.statuses[label] || 0) + 1;
+    
+    const wasSent = Boolean(details.date_sent) || hasReachedStatus(details.status, DOCUMENT_STATUS.SENT);
+    const isCompleted = details.status === DOCUMENT_STATUS.COMPLETED || Boolean(details.date_completed);
+    if (wasSent) stats.sent++;
+    if (isCompleted) {
+      stats.completed++;
+      if (details.date_sent && details.date_completed) {
+        stats.durations.push(new Date(details.date_completed) - new Date(details.date_sent));
+      }
+      // Closed value only counts completed documents
+      if (details.grand_total && details.grand_total.amount !== undefined) {
+        const currency = details.grand_total.currency || 'USD';
+        stats.value[currency] = (stats.value[currency] || 0) + Number(details.grand_total.amount);
+      }
+    }
+  };
+  
+  const summarize = () => {
+    const rows = [...groups.values()].sort((a, b) => String(a.group).localeCompare(String(b.group)));
+    if (groupKey && rows.length > 0) {
+      const total = { group: 'Total', documents: 0, statuses: {}, sent: 0, completed: 0, durations: [], value: {} };
+      for (const row of rows) {
+        total.documents += row.documents;
+        total.sent += row.sent;
+        total.completed += row.completed;
+        total.durations.push(...row.durations);
+        for (const [label, count] of Object.entries(row.statuses)) total.statuses[label] = (total.statuses[label] || 0) + count;
+        for (const [currency, amount] of Object.entries(row.value)) total.value[currency] = (total.value[currency] || 0) + amount;
+      }
+      rows.push(total);
+    }
+    
+    return rows.map(row => ({
+      group: row.group,
+      documents: row.documents,
+      statuses: row.statuses,
+      sent: row.sent,
+      completed: row.completed,
+      conversion: row.sent > 0 ? row.completed / row.sent : null,
+      median_time_to_complete_ms: median(row.durations),
+      closed_value: row.value,
+    }));
+  };
+  
+  return {
+    add: details => add(groupKey ? groupKey(details) : 'All', details),
+    rows: summarize
+  };
+}
+
+// Flatten report groups into rows keyed by column label
+function reportTableRows(report) {
+  // Status columns follow the document lifecycle
+  const order = label => {
+    const status = Object.keys(STATUS_LABELS).find(key => STATUS_LABELS[key] === label);
+    return STATUS_PROGRESS[status] !== undefined ? STATUS_PROGRESS[status] : 99;
+  };
+  const statusLabels = [...new Set(report.flatMap(row => Object.keys(row.statuses)))].sort((a, b) => order(a) - order(b));
+  const fields = ['Group', 'Docs', ...statusLabels, 'Total sent', 'Signed', 'Conversion', 'Median to complete', 'Closed value'];
+  
+  const rows = report.map(row => {
+    const flat = { Group: row.group, Docs: row.documents };
+    for (const label of statusLabels) flat[label] = row.statuses[label] || 0;
+    flat['Total sent'] = row.sent;
+    flat.Signed = row.completed;
+    flat.Conversion = row.conversion === null ? '' : `${(row.conversion * 100).toFixed(1)}%`;
+    flat['Median to complete'] = formatDuration(row.median_time_to_complete_ms);
+    flat['Closed value'] = Object.entries(row.closed_value).map(([currency, amount]) => `${currency} ${amount.toFixed(2)}`).join('; ');
+    return flat;
+  });
+  return { fields, rows };
+}
+
+// Stale document helpers
+
+// Statuses in which a document is waiting on its recipients
+const OUTSTANDING_STATUSES = [DOCUMENT_STATUS.SENT, DOCUMENT_STATUS.VIEWED, DOCUMENT_STATUS.WAITING_APPROVAL];
+
+const DAY_MS = 86400000;
+
+// Recipients who haven't completed, in signing order, and the ones the
+// document is waiting on now: the lowest pending signing order, or all of
+// them when the document has no signing order
+function blockingRecipients(details) {
+  const pending = pendingRecipients(details)
+    .map(recipient => ({
+      email: recipient.email,
+      name: [recipient.first_name, recipient.last_name].filter(Boolean).join(' '),
+      role: recipient.role || null,
+      signing_order: recipient.signing_order || null
+    }))
+    .sort((a, b) => (a.signing_order || Infinity) - (b.signing_order || Infinity));
+  
+  const next = pending.length > 0 ? pending[0].signing_order : null;
+  const waitingOn = next === null ? pending : pending.filter(recipient => recipient.signing_order === next);
+  return { pending, waiting_on: waitingOn.map(recipient => recipient.email) };
+}
+
+// Check an outstanding document against the --older-than and
+// --expiring-within cutoffs; null when it trips neither
+function staleEntry(details, options, now = Date.now()) {
+  const sentAt = details.date_sent || details.date_modified || details.date_created;
+  const outstanding = sentAt ? now - new Date(sentAt).getTime() : null;
+  const expiresIn = details.expiration_date ? new Date(details.expiration_date).getTime() - now : null;
+  
+  const reasons = [];
+  if (options.olderThan === undefined && options.expiringWithin === undefined) reasons.push('outstanding');
+  if (options.olderThan !== undefined && outstanding !== null && outstanding >= options.olderThan) reasons.push('stale');
+  if (options.expiringWithin !== undefined && expiresIn !== null && expiresIn <= options.expiringWithin) reasons.push('expiring');
+  if (reasons.length === 0) return null;
+  
+  const { pending, waiting_on } = blockingRecipients(details);
+  return {
+    id: details.id,
+    name: details.name,
+    status: details.status,
+    owner: REPORT_GROUPS.owner(details),
+    sent: sentAt,
+    days_outstanding: outstanding === null ? null : Math.round(outstanding / DAY_MS * 10) / 10,
+    expiration_date: details.expiration_date || null,
+    expires_in_days: expiresIn === null ? null : Math.round(expiresIn / DAY_MS * 10) / 10,
+    reasons,
+    waiting_on,
+    pending
+  };
+}
+
+// Rows for tabular formats, with the group as the first column
+function staleRows(result) {
+  return result.groups
+    ? result.groups.flatMap(group => group.documents.map(doc => ({ group: group.group, ...doc })))
+    : result.documents;
+}
+
+function formatStaleDocument(doc) {
+  let output = `${doc.name}\n`;
+  output += `  ID: ${doc.id}\n`;
+  output += `  Status: ${STATUS_LABELS[doc.status] || doc.status}\n`;
+  output += `  Owner: ${doc.owner}\n`;
+  output += `  Sent: ${formatDate(doc.sent)} (${doc.days_outstanding} day(s) ago)\n`;
+  if (doc.expiration_date) {
+    const expires = doc.expires_in_days < 0 ? `${-doc.expires_in_days} day(s) ago` : `in ${doc.expires_in_days} day(s)`;
+    output += `  Expires: ${formatDate(doc.expiration_date)} (${expires})\n`;
+  }
+  output += `  Waiting on: ${doc.waiting_on.join(', ') || 'nobody (all recipients completed)'}\n`;
+  for (const recipient of doc.pending) {
+    const order = recipient.signing_order ? `${recipient.signing_order}. ` : '- ';
+    output += `    ${order}${recipient.name ? `${recipient.name} <${recipient.email}>` : recipient.email}${recipient.role ? ` (${recipient.role})` : ''}\n`;
+  }
+  return output;
+}
+
+function formatStale(result) {
+  let output = `${result.total} outstanding document(s)`;
+  if (result.older_than || result.expiring_within) {
+    output += ` ${[
+      result.older_than && `sent over ${result.older_than} ago`,
+      result.expiring_within && `expiring within ${result.expiring_within}`
+    ].filter(Boolean).join(' or ')}`;
+  }
+  output += '\n';
+  
+  const groups = result.groups || [{ documents: result.documents }];
+  for (const group of groups) {
+    if (group.group) output += `\n== ${group.group} (${group.documents.length}) ==\n`;
+    for (const doc of group.documents) output += `\n${formatStaleDocument(doc)}`;
+  }
+  return output;
+}
+
+// Pricing helpers
+
+// Computed and PandaDoc totals may differ by rounding; anything more is a mismatch
+const PRICING_TOLERANCE = 0.01;
+
+function toAmount(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const amount = Number(typeof value === 'object' ? value.value : value);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+// Discounts and taxes come as { type: percent|absolute|flat, value } or a
+// plain number, which PandaDoc treats as a percentage
+function adjustmentAmount(base, adjustment) {
+  if (adjustment === undefined || adjustment === null || adjustment === '') return 0;
+  const type = typeof adjustment === 'object' ? adjustment.type : 'percent';
+  const value = toAmount(adjustment);
+  return type === 'percent' ? base * value / 100 : value;
+}
+
+function formatAdjustment(adjustment) {
+  if (adjustment === undefined || adjustment === null || adjustment === '' || toAmount(adjustment) === 0) return '';
+  const type = typeof adjustment === 'object' ? adjustment.type : 'percent';
+  return type === 'percent' ? `${toAmount(adjustment)}%` : toAmount(adjustment).toFixed(2);
+}
+
+// Line items of a document's pricing tables, with each item's subtotal
+// recomputed (price x qty, less discount, plus taxes) and checked against
+// PandaDoc's item, table and grand totals
+function buildPricing(details) {
+  const currency = (details.grand_total && details.grand_total.currency) || '';
+  const mismatches = [];
+  const lines = [];
+  const check = (scope, expected, computed) => {
+    if (expected !== undefined && expected !== null && expected !== '' && Math.abs(toAmount(expected) - computed) > PRICING_TOLERANCE) {
+      mismatches.push({ scope, pandadoc: toAmount(expected), computed: Number(computed.toFixed(2)) });
+    }
+  };
+  
+  const tables = ((details.pricing && details.pricing.tables) || []).map(table => {
+    const sections = Array.isArray(table.sections) && table.sections.length > 0
+      ? table.sections
+      : [{ title: null, items: table.items || [] }];
+    
+    let itemsTotal = 0;
+    for (const section of sections) {
+      for (const raw of section.items || section.rows || []) {
+        const item = raw.data ? { ...raw, ...raw.data } : raw;
+        const qty = item.qty === undefined || item.qty === null || item.qty === '' ? 1 : toAmount(item.qty);
+        const gross = toAmount(item.price) * qty;
+        const discount = adjustmentAmount(gross, item.discount);
+        const net = gross - discount;
+        const tax = adjustmentAmount(net, item.tax_first) + adjustmentAmount(net, item.tax_second);
+        const computed = net + tax;
+        itemsTotal += computed;
+        
+        const line = {
+          document_id: details.id,
+          document_name: details.name,
+          table: table.name,
+          section: section.title || section.name || '',
+          name: item.name || item.title || '',
+          sku: item.sku || '',
+          qty,
+          price: toAmount(item.price),
+          discount: formatAdjustment(item.discount),
+          tax: [formatAdjustment(item.tax_first), formatAdjustment(item.tax_second)].filter(Boolean).join(' + '),
+          subtotal: item.subtotal !== undefined ? toAmount(item.subtotal) : Number(computed.toFixed(2)),
+          computed_subtotal: Number(computed.toFixed(2)),
+          currency: table.currency || currency
+        };
+        lines.push(line);
+        check(`${table.name} / ${line.name || 'item'}`, item.subtotal, computed);
+      }
+    }
+    
+    // Table-level discount applies on top of the items, and the table-level
+    // tax on the discounted total, the same order as on each item
+    const summary = table.summary || {};
+    const discounted = itemsTotal - adjustmentAmount(itemsTotal, summary.discount);
+    const computedTotal = discounted + adjustmentAmount(discounted, summary.tax);
+    check(`${table.name} total`, table.total !== undefined ? table.total : summary.total, computedTotal);
+    return {
+      name: table.name,
+      included_in_total: table.is_included_in_total !== false,
+      total: table.total !== undefined ? toAmount(table.total) : Number(computedTotal.toFixed(2)),
+      computed_total: Number(computedTotal.toFixed(2))
+    };
+  });
+  
+  const computedGrandTotal = tables.filter(table => table.included_in_total).reduce((sum, table) => sum + table.total, 0);
+  if (tables.length > 0 && details.grand_total) {
+    check('Grand total', details.grand_total.amount, computedGrandTotal);
+  }
+  
+  return {
+    id: details.id,
+    name: details.name,
+    currency,
+    tables,
+    lines,
+    grand_total: details.grand_total ? toAmount(details.grand_total.amount) : null,
+    computed_grand_total: Number(computedGrandTotal.toFixed(2)),
+    mismatches
+  };
+}
+
+function formatPricing(pricing) {
+  let output = `${pricing.name} (${pricing.id})\n`;
+  if (pricing.tables.length === 0) {
+    return `${output}  No pricing tables\n`;
+  }
+  
+  const columns = ['section', 'name', 'qty', 'price', 'discount', 'tax', 'subtotal'];
+  for (const table of pricing.tables) {
+    const lines = pricing.lines.filter(line => line.table === table.name);
+    const fields = lines.some(line => line.section) ? columns : columns.slice(1);
+    output += `\n${table.name}${table.included_in_total ? '' : ' (not in grand total)'}\n`;
+    output += renderRows(lines.map(line => ({ ...line, price: line.price.toFixed(2), subtotal: line.subtotal.toFixed(2) })), { format: 'table' }, fields).replace(/^/gm, '  ');
+    output += `\n  Total: ${pricing.currency} ${table.total.toFixed(2)}\n`;
+  }
+  if (pricing.grand_total !== null) {
+    output += `\nGrand total: ${pricing.currency} ${pricing.grand_total.toFixed(2)}\n`;
+  }
+  
+  if (pricing.mismatches.length === 0) {
+    output += 'Totals check: OK\n';
+  } else {
+    output += `Totals check: ${pricing.mismatches.length} mismatch(es)\n`;
+    for (const mismatch of pricing.mismatches) {
+      output += `  ${mismatch.scope}: PandaDoc ${mismatch.pandadoc.toFixed(2)}, computed ${mismatch.computed.toFixed(2)}\n`;
+    }
+  }
+  return output;
+}
+
+// Webhook helpers
+
+// PandaDoc signs the raw body with HMAC-SHA256 and passes it as ?signature=
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!signature) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+}
+
+// Flatten a webhook event into the fields handlers care about
+function normalizeWebhookEvent(event) {
+  const data = event.data || {};
+  const actor = data.action_by || data.recipient || {};
+  return {
+    event: event.event,
+    document_id: data.id,
+    document_name: data.name,
+    status: data.status,
+    status_label: STATUS_LABELS[data.status] || data.status,
+    recipient: event.event === 'recipient_completed' ? actor.email || null : null,
+    date: data.date_modified || data.date_completed || null,
+    received_at: new Date().toISOString(),
+    payload: event,
+  };
+}
+
+// Deliveries contain an array of events; replay files may hold NDJSON log
+// lines (with the original payload) or a raw delivery body
+function parseWebhookEvents(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  // A whole JSON document (one event, possibly pretty-printed, or an array)
+  // first; anything that isn't one is read as NDJSON
+  let events;
+  try {
+    events = [].concat(JSON.parse(trimmed));
+  } catch (e) {
+    events = trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  return events.map(event => (event.payload ? event.payload : event));
+}
+
+// Append the event to the NDJSON log and/or run the handler command with the
+// event JSON on stdin and its key fields in PANDADOC_* environment variables
+function dispatchWebhookEvent(event, options) {
+  const normalized = normalizeWebhookEvent(event);
+  
+  if (options.log) {
+    const dir = path.dirname(options.log);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(options.log, JSON.stringify(normalized) + '\n');
+  }
+  
+  if (options.exec) {
+    const result = childProcess.spawnSync(options.exec, {
+      shell: true,
+      input: JSON.stringify(normalized),
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        PANDADOC_EVENT: normalized.event || '',
+        PANDADOC_DOCUMENT_ID: normalized.document_id || '',
+        PANDADOC_DOCUMENT_NAME: normalized.document_name || '',
+        PANDADOC_STATUS: normalized.status || '',
+        PANDADOC_RECIPIENT: normalized.recipient || '',
+      },
+      timeout: 60000
+    });
+    if (result.error || result.status !== 0) {
+      console.error(`Handler failed for ${normalized.event} ${normalized.document_id}: ${result.error ? result.error.message : `exit code ${result.status}`}`);
+    }
+  }
+  
+  if (!options.log && !options.exec) {
+    console.log(JSON.stringify(normalized));
+  }
+  
+  return normalized;
+}
+
+// Subscription settings from --name/--url/--triggers/--payload/--active
+function webhookSubscriptionFromOptions(options) {
+  const subscription = {};
+  if (options.name) subscription.name = options.name;
+  if (options.url) subscription.url = options.url;
+  if (options.triggers) {
+    subscription.triggers = String(options.triggers).split(',').map(trigger => trigger.trim());
+    const unknown = subscription.triggers.filter(trigger => !WEBHOOK_TRIGGERS.includes(trigger));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown trigger(s): ${unknown.join(', ')} (available: ${WEBHOOK_TRIGGERS.join(', ')})`);
+    }
+  }
+  if (options.payload) {
+    subscription.payload = String(options.payload).split(',').map(item => item.trim());
+    const unknown = subscription.payload.filter(item => !WEBHOOK_PAYLOAD_OPTIONS.includes(item));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown payload option(s): ${unknown.join(', ')} (available: ${WEBHOOK_PAYLOAD_OPTIONS.join(', ')})`);
+    }
+  }
+  if (options.active !== undefined) subscription.active = options.active !== 'false';
+  if (options.inactive) subscription.active = false;
+  return subscription;
+}
+
+// The shared key signs deliveries; only `webhooks create` prints it
+function redactWebhookSubscription(subscription) {
+  const { shared_key, ...rest } = subscription || {};
+  return rest;
+}
+
+function formatWebhookSubscription(subscription) {
+  let output = `${subscription.name}\n`;
+  output += `  UUID: ${subscription.uuid}\n`;
+  output += `  URL: ${subscription.url}\n`;
+  output += `  Active: ${subscription.active ? 'Yes' : 'No'}\n`;
+  output += `  Triggers: ${(subscription.triggers || []).join(', ') || 'none'}\n`;
+  if (subscription.payload && subscription.payload.length > 0) {
+    output += `  Payload: ${subscription.payload.join(', ')}\n`;
+  }
+  return output;
+}
+
+function formatWebhookEvent(event) {
+  const failed = isFailedWebhookEvent(event);
+  let output = `${formatDate(event.delivery_time)} - ${event.type || event.event}${failed ? ' [FAILED]' : ''}\n`;
+  output += `  ID: ${event.uuid}\n`;
+  output += `  Response: ${event.http_status_code ? `HTTP ${event.http_status_code}` : 'none'}${event.error ? ` (${event.error})` : ''}\n`;
+  if (event.url) {
+    output += `  URL: ${event.url}\n`;
+  }
+  return output;
+}
+
+function formatWebhookEventDetails(event) {
+  let output = formatWebhookEvent(event);
+  if (event.response_body) {
+    output += `\nResponse body:\n${event.response_body}`;
+  }
+  return output;
+}
+
+function isFailedWebhookEvent(event) {
+  return Boolean(event.error) || !event.http_status_code || event.http_status_code >= 300;
+}
+
+// Run the local receiver; it keeps the process alive until stopped
+function serveWebhooks(options) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+    
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const rawBody = Buffer.concat(chunks);
+      const signature = new URL(req.url, 'http://localhost').searchParams.get('signature');
+      if (options.secret && !verifyWebhookSignature(rawBody, signature, options.secret)) {
+        console.error(`Rejected delivery with invalid signature from ${req.socket.remoteAddress}`);
+        res.writeHead(401).end();
+        return;
+      }
+      
+      let events;
+      try {
+        events = parseWebhookEvents(rawBody.toString('utf8'));
+      } catch (e) {
+        res.writeHead(400).end();
+        return;
+      }
+      
+      // A failed log write or handler fails this delivery (PandaDoc retries
+      // it) but never the receiver
+      try {
+        for (const event of events) {
+          const normalized = dispatchWebhookEvent(event, options);
+          if (options.verbose) {
+            console.error(`${normalized.event}: ${normalized.document_name || normalized.document_id} -> ${normalized.status_label || 'n/a'}`);
+          }
+        }
+      } catch (e) {
+        console.error(`Failed to handle delivery: ${e.message}`);
+        res.writeHead(500, { 'Content-Type': 'application/json' }).end(JSON.stringify({ ok: false, error: e.message }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+    });
+  });
+  
+  server.on('error', error => {
+    if (error.code === 'EADDRINUSE' || error.code === 'EACCES') {
+      console.error(`Error: Cannot listen on ${options.host}:${options.port} (${error.code === 'EADDRINUSE' ? 'address already in use' : 'permission denied'})`);
+      process.exit(EXIT_CODES.ERROR);
+    }
+    console.error(`Webhook server error: ${error.message}`);
+  });
+  
+  server.listen(options.port, options.host, () => {
+    console.error(`Listening for PandaDoc webhooks on http://${options.host}:${options.port}`);
+  });
+  return server;
+}
+
+// Contact helpers
+
+// Contact fields accepted by the contacts API
+const CONTACT_FIELDS = [
+  'email', 'first_name', 'last_name', 'company', 'job_title', 'phone',
+  'street_address', 'city', 'state', 'postal_code', 'country'
+];
+
+// Common CSV headings for each contact field, compared without case,
+// spaces or punctuation
+const CONTACT_COLUMN_ALIASES = {
+  email: ['email', 'emailaddress', 'mail'],
+  first_name: ['firstname', 'givenname', 'first'],
+  last_name: ['lastname', 'surname', 'familyname', 'last'],
+  company: ['company', 'companyname', 'organization', 'organisation', 'account'],
+  job_title: ['jobtitle', 'title', 'position', 'role'],
+  phone: ['phone', 'phonenumber', 'telephone', 'mobile'],
+  street_address: ['streetaddress', 'address', 'street'],
+  city: ['city', 'town'],
+  state: ['state', 'province', 'region', 'county'],
+  postal_code: ['postalcode', 'postcode', 'zip', 'zipcode'],
+  country: ['country']
+};
+
+// Contact fields from --email, --first-name, --job-title, ...
+function contactFromOptions(options) {
+  const contact = {};
+  for (const field of CONTACT_FIELDS) {
+    const value = options[field.replace(/_/g, '-')];
+    if (value !== undefined && value !== true) contact[field] = String(value);
+  }
+  return contact;
+}
+
+// Map CSV headers to contact fields. Explicit --map "Header=field" pairs win
+// over the aliases; unmapped columns are ignored.
+function mapContactColumns(headers, map) {
+  const mapping = {};
+  const normalize = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  for (const header of headers) {
+    const field = Object.keys(CONTACT_COLUMN_ALIASES).find(key => CONTACT_COLUMN_ALIASES[key].includes(normalize(header)));
+    if (field) mapping[header] = field;
+  }
+  
+  if (map && map !== true) {
+    for (const pair of String(map).split(',')) {
+      const [header, field] = pair.split('=').map(part => part.trim());
+      if (!headers.includes(header)) {
+        throw new Error(`Unknown column in --map: ${header} (columns: ${headers.join(', ')})`);
+      }
+      if (!CONTACT_FIELDS.includes(field)) {
+        throw new Error(`Unknown contact field in --map: ${field} (available: ${CONTACT_FIELDS.join(', ')})`);
+      }
+      mapping[header] = field;
+    }
   }
   
+  if (!Object.values(mapping).includes('email')) {
+    throw new Error(`No email column found (columns: ${headers.join(', ')}); use --map "<column>=email"`);
+  }
+  return mapping;
+}
+
+// Decide what to do with each CSV row: create new emails, update existing
+// contacts whose fields differ, and skip the rest with a reason
+function planContactImport(csv, mapping, existingByEmail) {
+  const seen = new Set();
+  return csv.rows.map((row, index) => {
+    const contact = {};
+    for (const [header, field] of Object.entries(mapping)) {
+      if (row[header]) contact[field] = row[header];
+    }
+    const entry = { row: csv.lines[index], email: contact.email || '' };
+    const key = (contact.email || '').toLowerCase();
+    
+    if (!key) return { ...entry, action: 'skip', reason: 'no email' };
+    if (!/^[^@\s]+@[^@\s]+$/.test(key)) return { ...entry, action: 'skip', reason: 'invalid email' };
+    if (seen.has(key)) return { ...entry, action: 'skip', reason: 'duplicate email in file' };
+    seen.add(key);
+    
+    const existing = existingByEmail.get(key);
+    if (!existing) return { ...entry, action: 'create', contact };
+    
+    const changes = {};
+    for (const [field, value] of Object.entries(contact)) {
+      if (field !== 'email' && (existing[field] || '') !== value) changes[field] = value;
+    }
+    return Object.keys(changes).length > 0
+      ? { ...entry, action: 'update', id: existing.id, changes }
+      : { ...entry, action: 'skip', id: existing.id, reason: 'unchanged' };
+  });
+}
+
+// Accept a contact ID or an email address
+function resolveContact(client, ref) {
+  if (!String(ref).includes('@')) {
+    return client.getContact(ref);
+  }
+  const result = client.listContacts({ email: ref });
+  const contacts = Array.isArray(result) ? result : result.results || [];
+  const contact = contacts.find(item => (item.email || '').toLowerCase() === String(ref).toLowerCase());
+  if (!contact) {
+    throw new Error(`No contact with email ${ref}`);
+  }
+  return contact;
+}
+
+function formatContact(contact) {
+  const name = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+  let output = `${name || contact.email}\n`;
+  output += `  ID: ${contact.id}\n`;
+  output += `  Email: ${contact.email}\n`;
+  if (contact.company) output += `  Company: ${contact.company}\n`;
+  if (contact.job_title) output += `  Job title: ${contact.job_title}\n`;
+  if (contact.phone) output += `  Phone: ${contact.phone}\n`;
+  const address = [contact.street_address, contact.city, contact.state, contact.postal_code, contact.country].filter(Boolean).join(', ');
+  if (address) output += `  Address: ${address}\n`;
+  return output;
+}
+
+function formatContactImport(report) {
+  let output = `${report.dry_run ? 'Dry run: ' : ''}${report.rows.length} row(s) from ${report.file}\n`;
+  output += `  Created: ${report.created}\n`;
+  output += `  Updated: ${report.updated}\n`;
+  output += `  Skipped: ${report.skipped}\n`;
+  output += `  Failed: ${report.failed}`;
+  for (const entry of report.rows.filter(row => row.action === 'skip' || row.action === 'failed')) {
+    output += `\n    Row ${entry.row} ${entry.email || '(no email)'}: ${entry.reason || entry.error}`;
+  }
   return output;
 }
 
@@ -451,11 +3794,33 @@ COMMANDS:
   details <documentId>        Get detailed document info (recipients, fields)
   download <documentId>       Download document as PDF
   templates [options]         List templates
-  folders [options]           List document folders
+  template <templateId>       Show a template's roles, tokens, fields and pricing
+  folders [action]            List, tree, create or rename folders
+  move <id...> --folder <uuid> Move documents (or templates) to a folder
   me                          Get current user info
   audit <documentId>          Get document audit trail
-  fields <documentId>         List document fields
+  fields <documentId>         List document fields, or set values on a draft
   send <documentId>           Send document for signing
+  create [options]            Create document from a template
+  upload <file>               Create document from a local PDF/DOCX/RTF
+  wait <documentId>           Wait until a document reaches a status
+  bulk-send [options]         Create and send one document per CSV row
+  export --out <dir>          Export matching documents with a manifest
+  evidence <documentId>       Collect a signed document's evidence bundle
+  sync --out <dir>            Keep a local cache of documents for --offline
+  recipients <action> <docId> List, add, remove, update or reassign recipients
+  remind [documentId]         Remind recipients who haven't completed
+  void <documentId>           Void a sent document
+  draft <documentId>          Revert a sent document to an editable draft
+  status <documentId>         Manually set status (completed, voided, declined)
+  share <documentId>          Create embedded signing links for recipients
+  webhook serve|replay        Receive webhook events locally, or replay a log
+  webhooks <action>           Manage webhook subscriptions and deliveries
+  report [options]            Pipeline funnel, turnaround and value report
+  stale [options]             Outstanding documents, who they wait on, expiry
+  pricing <documentId>        Pricing table line items, discounts, taxes and totals
+  contacts <action>           List, get, create, update, delete or import contacts
+  config show                 Show resolved config, profile and saved searches
 
 LIST OPTIONS:
   -q, --query <query>         Search query
@@ -463,6 +3828,7 @@ LIST OPTIONS:
   -t, --tag <tag>             Filter by tag
   --template <templateId>     Filter by template ID
   --folder <folderUuid>       Filter by folder UUID
+  --contact <email|id>        Filter by contact (recipient)
   -n, --count <count>         Number of results (max 100, default 50)
   -p, --page <page>           Page number (default 1)
   --order <field>             Sort by field (name, date_created, date_modified, date_completed)
@@ -475,28 +3841,296 @@ LIST OPTIONS:
   --completed-to <date>       Completed before (YYYY-MM-DD)
 
 DOWNLOAD OPTIONS:
-  -o, --output <file>         Output file path (default: tmp/<doc-name>.pdf)
+  -o, --output <file>         Output file path (default: <dir>/<doc-name>.pdf)
+  --dir <dir>                 Directory for default output paths (default: tmp)
   --watermark                 Include watermark for drafts
   --protected                 Download completed document with certificate
+  --separate-files            Download attachments as separate files into the
+                              output directory (default: <dir>/<doc-name>/);
+                              not with --protected
+  --force                     Overwrite existing files
+  Each file gets a <file>.sha256 checksum next to it.
+
+FIELDS OPTIONS:
+  --set <name=value>          Set a field or token (repeatable; extra name=value
+                              arguments work too). Checked against the field
+                              type: dates YYYY-MM-DD, checkboxes true/false,
+                              dropdown options, numbers
+  --from <file>               Values to set from JSON/YAML ({ "name": value })
+  --dry-run                   Show the before/after diff without saving
+  Only draft documents can be edited.
+
+TEMPLATE OPTIONS:
+  --scaffold                  Print a document spec for create --data, with every
+                              role, token, field and pricing table to fill in
+  -o, --output <file>         Write the spec to a file instead (with --scaffold)
+  --force                     Overwrite an existing spec file
+
+FOLDERS OPTIONS:
+  list                        One level of folders (default); --parent <uuid>
+  tree                        Every folder below --parent (or the top level),
+                              with the documents directly in each and in total
+  create <name>               Create a folder; --parent <uuid> nests it
+  rename <uuid> <name>        Rename a folder
+  --templates                 Template folders instead of document folders
+  --depth <n>                 tree: stop n levels down
+  --no-counts                 tree: skip counting, which lists each folder
+
+MOVE OPTIONS:
+  --folder <uuid>             Destination folder (required)
+  --templates                 Move templates instead of documents
+  (all LIST filters)          Without IDs, move every match, e.g. --status draft;
+                              templates take -q and -t
+  --from-folder <uuid>        Filter by current folder
+  --limit <n>                 Stop after n matches
+  --dry-run                   Show what would move
+  -y, --yes                   Skip the confirmation for filter selections
 
 SEND OPTIONS:
   -m, --message <message>     Custom message for recipients
   --subject <subject>         Custom email subject
   --silent                    Don't send email notifications
 
-OUTPUT OPTIONS:
-  --json                      Output raw JSON
-  --summary                   Output human-readable summary
+CREATE OPTIONS:
+  --template <templateId>     Template to create the document from
+  -d, --data <file>           Document spec (JSON or YAML): name, folder, recipients,
+                              tokens, fields, metadata, tags, pricing_tables,
+                              content_placeholders
+  --name <name>               Document name (overrides spec)
+  --folder <folderUuid>       Destination folder (overrides spec)
+  --skip-validation           Don't check the spec against template roles/tokens
+
+UPLOAD OPTIONS:
+  -d, --data <file>           Document spec (JSON or YAML): name, recipients, fields
+                              (field tags mapped to roles), metadata, tags
+  --name <name>               Document name (default: file name)
+  --folder <folderUuid>       Destination folder
+  -t, --tag <tags>            Comma-separated tags
+  --parse-form-fields         Convert PDF form fields into PandaDoc fields
+  --wait                      Wait until the document is ready as a draft
+  --timeout <duration>        How long to wait (default 2m)
+
+RECIPIENTS OPTIONS:
+  list <documentId>           Show recipients in signing order (default action)
+  add <documentId>            Add a recipient (draft documents)
+  remove <documentId>         Remove a recipient (draft documents)
+  update <documentId>         Change recipient details or signing order (drafts)
+  reassign <documentId>       Hand a pending signature to someone else (sent docs)
+  -r, --recipient <email|id>  Recipient to remove/update/reassign
+  --email <email>             Recipient email (new signer for reassign)
+  --first-name <name>         First name
+  --last-name <name>          Last name
+  --role <role>               Template role
+  --signing-order <n>         Position in the signing order
+
+REMIND OPTIONS:
+  -m, --message <message>     Custom reminder message
+  --dry-run                   List who would be reminded without sending
+  --older-than <duration>     Bulk mode: only documents sent before e.g. 5d
+  (all LIST filters)          Bulk mode document selection (default: sent + viewed)
+  --auto [on|off]             Show or change a document's automatic reminders
+  --first-after <duration>    With --auto: first automatic reminder after e.g. 2d
+  --repeat-every <duration>   With --auto: repeat automatic reminders every e.g. 3d
+                              (both in whole days)
+
+VOID / DRAFT / STATUS OPTIONS:
+  --reason <text>             Why the document is changed (required)
+  --set <status>              status only: completed, voided or declined
+  -y, --yes                   Skip the confirmation prompt
+  --silent                    Don't notify recipients of the status change
+
+SHARE OPTIONS:
+  -r, --recipient <email>     Recipient to create a signing link for
+  --all-recipients            One link per pending signer (JSON list)
+  --lifetime <duration>       Link lifetime in seconds or e.g. 1h (default 3600)
+
+WEBHOOK OPTIONS:
+  serve                       Run a local HTTP receiver for PandaDoc webhooks
+  replay <file>               Re-dispatch events from an NDJSON log or payload
+  --port <port>               Port to listen on (default 8080)
+  --host <host>               Interface to bind (default 127.0.0.1)
+  --secret <key>              Shared key for signature checks
+                              (or PANDADOC_WEBHOOK_SECRET)
+  --no-verify                 Accept unsigned deliveries (testing only)
+  --log <file>                Append events to an NDJSON log
+  --exec <command>            Run a command per event (event JSON on stdin,
+                              PANDADOC_EVENT/DOCUMENT_ID/STATUS/RECIPIENT env)
+  Without --log or --exec, events are printed as NDJSON.
+
+WEBHOOKS OPTIONS:
+  list                        List webhook subscriptions (default action)
+  create                      Create a subscription; prints the shared key once
+  update <uuid>               Change a subscription
+  delete <uuid>               Delete a subscription (asks for confirmation)
+  events [eventId]            List deliveries, or show one with its response
+  --name <name>               Subscription name
+  --url <url>                 Delivery URL
+  --triggers <list>           Comma-separated: document_state_changed,
+                              recipient_completed, document_updated, ...
+  --payload <list>            Extra data: fields,products,metadata,tokens,pricing
+  --active true|false         Enable or disable the subscription
+  --failed                    events: only failed deliveries, walking pages
+                              until --limit (default one page) are found
+  --since <date>, --to <date> events: delivery time range
+  --all, --limit <n>          events: walk every page
+
+EVIDENCE OPTIONS:
+  --out <dir>                 Bundle directory (default: tmp/evidence/<documentId>/)
+  --force                     Collect a document that isn't completed (regular
+                              PDF instead of the protected copy), and replace
+                              this document's existing bundle in --out
+  Writes document.pdf, audit-trail.json, details.json, fields.json, summary.md,
+  manifest.json (SHA-256 and fetch time per file) and SHA256SUMS.
+
+BULK-SEND OPTIONS:
+  --template <templateId>     Template to create each document from
+  --csv <file>                One row per document, with a header row
+  --map <file>                Document spec (JSON or YAML) with {{Column}}
+                              placeholders, plus subject and message
+  --subject <text>            Email subject ({{Column}} allowed; overrides map)
+  -m, --message <text>        Email message ({{Column}} allowed; overrides map)
+  --silent                    Don't send email notifications
+  --key <column>              Column identifying a row across runs (default:
+                              the row's recipient emails)
+  --state <file>              Progress file for resuming (default: <csv>.state.json)
+  --dry-run                   Validate every row without creating anything
+  --skip-invalid              Send the valid rows even if some are invalid
+  --timeout <duration>        Wait per document for draft (default 2m)
+  --rate-limit <n>            Max requests per minute (default
+                              PANDADOC_RATE_LIMIT, else 60 here)
+
+CONTACTS OPTIONS:
+  list                        List contacts (default action)
+  get <id|email>              Show one contact
+  create                      Create a contact (--email required)
+  update <id|email>           Change a contact
+  delete <id|email>           Delete a contact (asks for confirmation)
+  import <file.csv>           Create or update contacts from a CSV; duplicate
+                              emails are skipped
+  --email <email>             Email (list: filter by email)
+  --first-name, --last-name   Name
+  --company, --job-title      Company and job title
+  --phone <phone>             Phone number
+  --street-address, --city, --state, --postal-code, --country
+  --map <pairs>               import: column mapping, e.g. "E-mail=email,Org=company"
+                              (common headings are matched automatically)
+  --dry-run                   import: show what would change without writing
+
+PRICING OPTIONS:
+  --documents <id,id,...>     Line items from several documents in one sheet
+  --documents [list filters]  ...or from every document matching the filters
+  --limit <n>                 Stop after n documents (filter mode)
+  Item subtotals, table totals and the grand total are recomputed and any
+  mismatch is reported. Use --format csv for a spreadsheet.
+
+REPORT OPTIONS:
+  (all LIST filters)          Select documents, e.g. --created-from 2026-01-01
+  --group-by <key>            template, month or owner
+  --limit <n>                 Stop after n documents
+
+STALE OPTIONS:
+  --older-than <duration>     Sent at least this long ago, e.g. 7d
+  --expiring-within <duration>
+                              Expiring within this long (or already past)
+  (all LIST filters)          Select documents; --status overrides the default
+                              sent, viewed and waiting-approval
+  --group-by <key>            owner, template or month
+  --fail-if-any               Exit 4 when any document is reported (for cron)
+  With both cutoffs a document is reported if it trips either; with neither,
+  every outstanding document is. Recipients are listed in signing order.
+
+EXPORT OPTIONS:
+  --out <dir>                 Archive directory (required)
+  (all LIST filters)          Select documents, e.g. --status completed
+  --limit <n>                 Stop after n documents
+  --force                     Re-download files that are already verified
+  Writes <name>_<id>.pdf, <name>_<id>.details.json and manifest.json/.csv.
+  Re-running skips documents whose files still match their checksums.
+
+SYNC OPTIONS:
+  --out <dir>                 Cache directory (default: --cache, tmp/cache)
+  --full                      Refetch everything instead of changes since the
+                              last checkpoint
+  Stores every document's list entry, details and field values. Later runs
+  fetch only documents modified since the last sync and drop deleted ones.
+
+OFFLINE OPTIONS (list, get, details, fields):
+  --offline                   Answer from the sync cache instead of the API;
+                              list takes the same filters except --folder and
+                              --deleted (default order: -date_modified)
+  --cache <dir>               Sync cache to read (default: tmp/cache)
+  --search <text>             list: documents whose token or field values
+                              contain every word, with the matching values
+
+WAIT OPTIONS:
+  -u, --until <status>        Target status (draft, sent, viewed, completed, ...)
+  --timeout <duration>        Give up after this long (default 10m)
+  --interval <duration>       First poll interval, doubling up to 30s (default 1s)
+  Exits 2 on timeout and 3 if the document ends up in error, voided, declined
+  or rejected.
+
+PAGINATION OPTIONS (list, templates, folders):
+  --all                       Fetch every page, streaming results as they arrive
+  --limit <n>                 Stop after n results (walks pages as needed)
+
+OUTPUT OPTIONS (all commands):
+  --format <format>           json (default), summary, table, csv, ndjson, markdown
+  --fields <list>             Columns to show, e.g. id,name,status,grand_total.amount
+  --no-header                 Omit the header row (table, csv, markdown)
+  --json                      Output raw JSON (same as --format json)
+  --summary                   Output human-readable summary (--format summary)
+  --ndjson                    Output one JSON object per line (--format ndjson)
+
+CONFIG OPTIONS (all commands):
+  --config <file>             Config file (default: PANDADOC_CONFIG, then
+                              pandadoc.config.json|yaml, then the pandadoc:
+                              section of ~/.pave/config.yaml)
+  --profile <name>            Profile to apply (or PANDADOC_PROFILE)
+  @<search>                   Run a saved search, e.g. pandadoc list @unsigned-quotes
+  Options merge as: built-in defaults, config, profile, saved search, CLI flags.
+
+REQUEST OPTIONS:
+  --retries <n>               Retries for 429 and transient errors (default 3)
+  --rate-limit <n>            Max requests per minute (default unlimited)
 
 EXAMPLES:
   pandadoc list --summary
   pandadoc list --status sent --count 20 --summary
+  pandadoc list --template tpl123 --all --ndjson
+  pandadoc list --status sent --format csv --fields id,name,date_created
   pandadoc get abc123 --summary
   pandadoc details abc123 --summary
   pandadoc download abc123 -o tmp/contract.pdf
   pandadoc templates --summary
+  pandadoc folders tree --summary
+  pandadoc move --from-folder abc123 --status completed --folder def456 --dry-run
+  pandadoc template tpl123 --summary
+  pandadoc template tpl123 --scaffold -o tmp/deal.json
   pandadoc me --summary
+  pandadoc fields abc123 --set StartDate=2026-02-01 --set Client.Company="Acme Ltd"
   pandadoc send abc123 --message "Please sign"
+  pandadoc create --template tpl123 --data tmp/deal.yaml --summary
+  pandadoc upload tmp/contract.pdf --data tmp/signers.json --wait --summary
+  pandadoc wait abc123 --until completed --timeout 2h
+  pandadoc export --status completed --completed-from 2026-01-01 --out tmp/archive/
+  pandadoc evidence abc123 --out tmp/evidence/abc123/ --summary
+  pandadoc sync --out tmp/cache/ --summary
+  pandadoc list --offline --search "PO-7781" --summary
+  pandadoc bulk-send --template tpl123 --csv tmp/customers.csv --map tmp/mapping.yaml --dry-run
+  pandadoc recipients reassign abc123 -r old@acme.com --email new@acme.com
+  pandadoc remind --status sent --older-than 5d --dry-run --summary
+  pandadoc draft abc123 --reason "Fix typo in clause 4"
+  pandadoc share abc123 --recipient jane@acme.com --lifetime 3600
+  pandadoc webhook serve --port 8080 --secret $KEY --log tmp/events.ndjson
+  pandadoc webhooks events --failed --all --summary
+  pandadoc report --created-from 2026-01-01 --group-by template --summary
+  pandadoc stale --older-than 7d --expiring-within 3d --group-by owner --summary
+  pandadoc pricing abc123 --summary
+  pandadoc pricing --documents --status completed --template tpl123 --format csv
+  pandadoc list @unsigned-quotes --profile acme --summary
+  pandadoc contacts import tmp/contacts.csv --dry-run --summary
+  pandadoc list --contact jane@acme.com --summary
+  pandadoc config show --summary
 
 TOKEN SETUP:
   Add to ~/.pave/permissions.yaml under tokens:
@@ -518,276 +4152,1402 @@ TOKEN SETUP:
 `);
 }
 
+// Commands that run without an API client
+const LOCAL_COMMANDS = ['webhook', 'config'];
+
 // Main execution function
 function main() {
-  const parsed = parseArgs();
+  let parsed;
+  try {
+    parsed = parseArgs();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
   
-  if (!parsed.command || parsed.command === 'help' || parsed.options.help || parsed.options.h) {
+  if (isHelpRequest(parsed)) {
     printHelp();
     return;
   }
   
   try {
-    const client = new PandaDocClient();
+    resolveOutputFormat(parsed.options);
+    
+    // --offline answers from the sync cache instead of the API
+    const offline = Boolean(parsed.options.offline);
+    if (offline && !OFFLINE_COMMANDS.includes(parsed.command)) {
+      throw new Error(`--offline works with: ${OFFLINE_COMMANDS.join(', ')}`);
+    }
+    const cache = offline ? openCache(parsed.options.cache) : null;
+    
+    // Commands that never call the API work without a token
+    const client = LOCAL_COMMANDS.includes(parsed.command) || offline ? null : new PandaDocClient({
+      token: parsed.settings.token,
+      maxRetries: parsed.options.retries,
+      rateLimit: parsed.options['rate-limit']
+    });
+    
+    // Document filters take --contact as an ID; look up emails once here
+    if (client && parsed.command !== 'contacts' && String(parsed.options.contact || '').includes('@')) {
+      parsed.options.contact = resolveContact(client, parsed.options.contact).id;
+    }
     
     switch (parsed.command) {
       case 'list': {
+        const params = buildListParams(parsed.options);
+        const search = parsed.options.search;
+        if (search && !cache) {
+          throw new Error('--search looks through token and field values in the sync cache; add --offline');
+        }
+        
+        let fetchPage = page => client.listDocuments(page);
+        if (cache) {
+          const documents = queryCache(cache, params, search);
+          fetchPage = page => cachedListPage(documents, page);
+        }
+        const view = search ? VIEWS.documentMatches : VIEWS.documents;
+        
+        if (isStreamingOutput(parsed.options)) {
+          printItems(pageItems(fetchPage, params, parsed.options), parsed.options, view);
+          break;
+        }
+        
+        const result = fetchPage(params);
+        printResult(result, parsed.options, view);
+        break;
+      }
+      
+      case 'get': {
+        const documentId = parsed.positional[0];
+        if (!documentId) {
+          console.error('Error: Document ID required');
+          console.error('Usage: pandadoc get <documentId>');
+          process.exit(1);
+        }
+        
+        const result = cache ? readCachedDocument(cache, documentId).document : client.getDocumentStatus(documentId);
+        printResult(result, parsed.options, VIEWS.document);
+        break;
+      }
+      
+      case 'details': {
+        const documentId = parsed.positional[0];
+        if (!documentId) {
+          console.error('Error: Document ID required');
+          console.error('Usage: pandadoc details <documentId>');
+          process.exit(1);
+        }
+        
+        const result = cache ? readCachedDocument(cache, documentId).details : client.getDocumentDetails(documentId);
+        printResult(result, parsed.options, VIEWS.documentDetails);
+        break;
+      }
+      
+      case 'download': {
+        const documentId = parsed.positional[0];
+        if (!documentId) {
+          console.error('Error: Document ID required');
+          console.error('Usage: pandadoc download <documentId> [-o output.pdf]');
+          process.exit(1);
+        }
+        
+        const separateFiles = Boolean(parsed.options['separate-files']);
+        if (separateFiles && parsed.options.protected) {
+          console.error('Error: --separate-files cannot be combined with --protected');
+          console.error('Usage: pandadoc download <documentId> [--protected | --separate-files] [-o output]');
+          process.exit(1);
+        }
+        const force = Boolean(parsed.options.force);
+        
+        // Get document info for default filename (a directory for --separate-files)
+        let outputPath = parsed.options.o || parsed.options.output;
+        if (!outputPath) {
+          const docInfo = client.getDocumentStatus(documentId);
+          const safeName = docInfo.name.replace(/[^a-zA-Z0-9-_]/g, '_');
+          outputPath = path.join(parsed.options.dir, separateFiles ? safeName : `${safeName}.pdf`);
+        }
+        
+        // Fail before downloading if the target is already taken
+        if (!separateFiles && fs.existsSync(outputPath) && !force) {
+          throw new Error(`File already exists: ${outputPath} (use --force to overwrite)`);
+        }
+        
+        let content;
+        if (parsed.options.protected) {
+          content = client.downloadProtectedDocument(documentId);
+        } else {
+          content = client.downloadDocument(documentId, {
+            watermark: parsed.options.watermark,
+            separateFiles
+          });
+        }
+        
+        const files = [];
+        if (separateFiles && detectFileType(content) === 'zip') {
+          const entries = extractZip(content);
+          for (const entry of entries) {
+            if (fs.existsSync(path.join(outputPath, entry.name)) && !force) {
+              throw new Error(`File already exists: ${path.join(outputPath, entry.name)} (use --force to overwrite)`);
+            }
+          }
+          for (const entry of entries) {
+            files.push(saveDownload(entry.data, path.join(outputPath, entry.name), { force }));
+          }
+        } else {
+          // A document without attachments comes back as a plain PDF
+          const target = separateFiles ? path.join(outputPath, `${path.basename(outputPath)}.pdf`) : outputPath;
+          files.push(saveDownload(content, target, { expectedType: 'pdf', force }));
+        }
+        
+        printResult(files.length === 1 && !separateFiles ? files[0] : files, parsed.options, VIEWS.downloads);
+        break;
+      }
+      
+      case 'templates': {
         const params = {};
         if (parsed.options.q || parsed.options.query) params.q = parsed.options.q || parsed.options.query;
-        if (parsed.options.s || parsed.options.status) {
-          const status = parsed.options.s || parsed.options.status;
-          params.status = STATUS_MAP[status.toLowerCase()] || status;
+        if (parsed.options.t || parsed.options.tag) params.tag = parsed.options.t || parsed.options.tag;
+        if (parsed.options.n || parsed.options.count) params.count = parsed.options.n || parsed.options.count;
+        if (parsed.options.p || parsed.options.page) params.page = parsed.options.p || parsed.options.page;
+        if (parsed.options.deleted) params.deleted = true;
+        
+        if (isStreamingOutput(parsed.options)) {
+          printItems(pageItems(page => client.listTemplates(page), params, parsed.options), parsed.options, VIEWS.templates);
+          break;
+        }
+        
+        const result = client.listTemplates(params);
+        printResult(result, parsed.options, VIEWS.templates);
+        break;
+      }
+      
+      case 'template': {
+        const templateId = parsed.positional[0];
+        if (!templateId) {
+          console.error('Error: Template ID required');
+          console.error('Usage: pandadoc template <templateId> [--scaffold] [-o spec.json]');
+          process.exit(1);
+        }
+        
+        const template = client.getTemplateDetails(templateId);
+        if (!parsed.options.scaffold) {
+          printResult(template, parsed.options, VIEWS.templateDetails);
+          break;
+        }
+        
+        const scaffold = JSON.stringify(scaffoldDocumentSpec(template), null, 2) + '\n';
+        const outputPath = parsed.options.o || parsed.options.output;
+        if (!outputPath) {
+          process.stdout.write(scaffold);
+          break;
+        }
+        if (fs.existsSync(outputPath) && !parsed.options.force) {
+          throw new Error(`File already exists: ${outputPath} (use --force to overwrite)`);
+        }
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, scaffold);
+        printResult({ path: outputPath, template_uuid: template.id }, parsed.options, {
+          summary: () => `Document spec written to ${outputPath}\n  Fill in the blanks, then: pandadoc create --data ${outputPath}`
+        });
+        break;
+      }
+      
+      case 'folders': {
+        const action = parsed.positional[0] || 'list';
+        const api = folderApi(client, parsed.options.templates);
+        
+        switch (action) {
+          case 'list': {
+            const params = {};
+            if (parsed.options.parent) params.parent_uuid = parsed.options.parent;
+            if (parsed.options.n || parsed.options.count) params.count = parsed.options.n || parsed.options.count;
+            if (parsed.options.p || parsed.options.page) params.page = parsed.options.p || parsed.options.page;
+            
+            if (isStreamingOutput(parsed.options)) {
+              printItems(pageItems(page => api.listFolders(page), params, parsed.options), parsed.options, VIEWS.folders);
+              break;
+            }
+            
+            const result = api.listFolders(params);
+            printResult(result, parsed.options, VIEWS.folders);
+            break;
+          }
+          
+          case 'tree': {
+            const folders = buildFolderTree(api, parsed.options.parent, {
+              depth: parsed.options.depth,
+              counts: !parsed.options['no-counts']
+            });
+            printResult({ kind: api.kind, parent: parsed.options.parent || null, folders }, parsed.options, VIEWS.folderTree);
+            break;
+          }
+          
+          case 'create': {
+            const name = parsed.positional[1];
+            if (!name) {
+              console.error('Error: Folder name required');
+              console.error('Usage: pandadoc folders create <name> [--parent <uuid>] [--templates]');
+              process.exit(1);
+            }
+            const folder = { name };
+            if (parsed.options.parent) folder.parent_uuid = parsed.options.parent;
+            
+            const result = api.createFolder(folder);
+            printResult(result, parsed.options, VIEWS.folder);
+            break;
+          }
+          
+          case 'rename': {
+            const folderId = parsed.positional[1];
+            const name = parsed.positional[2];
+            if (!folderId || !name) {
+              console.error('Error: Folder UUID and new name required');
+              console.error('Usage: pandadoc folders rename <uuid> <name> [--templates]');
+              process.exit(1);
+            }
+            
+            const result = api.renameFolder(folderId, name);
+            printResult(result, parsed.options, VIEWS.folder);
+            break;
+          }
+          
+          default:
+            console.error(`Error: Unknown folders action '${action}'`);
+            console.error('Usage: pandadoc folders list|tree|create|rename [--templates]');
+            process.exit(1);
+        }
+        break;
+      }
+      
+      case 'move': {
+        // The destination must be typed; a configured default folder is a
+        // list filter, not somewhere to move things
+        const folderId = parsed.cliOptions.folder;
+        if (!folderId || folderId === true) {
+          console.error('Error: Destination folder required');
+          console.error('Usage: pandadoc move <id...> --folder <uuid> [--templates], or pandadoc move [list filters] --folder <uuid>');
+          process.exit(1);
+        }
+        const api = folderApi(client, parsed.options.templates);
+        const dryRun = Boolean(parsed.options['dry-run']);
+        
+        // Explicit IDs, or every document (or template) matching the filters;
+        // --from-folder filters by source folder since --folder is the target
+        let items = parsed.positional.map(id => ({ id }));
+        if (items.length === 0) {
+          const filters = { ...parsed.options, folder: parsed.options['from-folder'] };
+          const params = parsed.options.templates
+            ? { q: filters.q || filters.query, tag: filters.t || filters.tag, folderUuid: filters.folder }
+            : buildListParams(filters);
+          delete params.page;
+          Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+          // Page size and order don't narrow the selection
+          if (Object.keys(params).filter(key => !['count', 'orderBy'].includes(key)).length === 0) {
+            throw new Error(`Give ${api.kind} IDs or at least one filter; refusing to move every ${api.kind}`);
+          }
+          
+          items = [...paginate(page => api.listItems(page), params, { limit: parsed.options.limit })]
+            .filter(item => (item.folder_uuid || null) !== folderId)
+            .map(item => ({ id: item.id, name: item.name }));
+          if (items.length > 0 && !dryRun && !confirmAction(`Move ${items.length} ${api.kind}(s) to folder ${folderId}?`, { yes: parsed.options.yes || parsed.options.y })) {
+            console.error('Aborted.');
+            process.exit(EXIT_CODES.ERROR);
+          }
+        }
+        
+        const results = [];
+        for (const item of items) {
+          const entry = { id: item.id, name: item.name || null, moved: false };
+          if (!dryRun) {
+            try {
+              api.moveItem(item.id, folderId);
+              entry.moved = true;
+            } catch (e) {
+              // Keep going so one failure doesn't stop a batch
+              entry.error = e.message;
+            }
+          }
+          results.push(entry);
+        }
+        
+        const failed = results.filter(entry => entry.error).length;
+        printResult({
+          kind: api.kind,
+          folder: folderId,
+          dry_run: dryRun,
+          moved: dryRun ? results.length : results.length - failed,
+          failed,
+          items: results
+        }, parsed.options, VIEWS.move);
+        if (failed > 0) {
+          process.exit(EXIT_CODES.ERROR);
+        }
+        break;
+      }
+      
+      case 'me': {
+        const result = client.getCurrentMember();
+        printResult(result, parsed.options, VIEWS.member);
+        break;
+      }
+      
+      case 'audit': {
+        const documentId = parsed.positional[0];
+        if (!documentId) {
+          console.error('Error: Document ID required');
+          console.error('Usage: pandadoc audit <documentId>');
+          process.exit(1);
+        }
+        
+        const result = client.getDocumentAuditTrail(documentId);
+        printResult(result, parsed.options, VIEWS.auditTrail);
+        break;
+      }
+      
+      case 'fields': {
+        const documentId = parsed.positional[0];
+        if (!documentId) {
+          console.error('Error: Document ID required');
+          console.error('Usage: pandadoc fields <documentId> [--set name=value ...] [--from values.json]');
+          process.exit(1);
+        }
+        
+        const assignments = [].concat(parsed.options.set || [], parsed.positional.slice(1));
+        const fromFile = parsed.options.from;
+        if (cache && (assignments.length > 0 || fromFile)) {
+          throw new Error('Field values can only be read offline; drop --offline to edit them');
+        }
+        
+        const result = cache ? readCachedDocument(cache, documentId).fields : client.listDocumentFields(documentId);
+        if (assignments.length === 0 && !fromFile) {
+          printResult(result, parsed.options, VIEWS.fields);
+          break;
+        }
+        
+        const values = { ...(fromFile ? loadDataFile(fromFile) : {}), ...parseAssignments(assignments) };
+        const details = client.getDocumentDetails(documentId);
+        if (details.status !== DOCUMENT_STATUS.DRAFT) {
+          throw new Error(`Document is ${STATUS_LABELS[details.status] || details.status}; only drafts can be edited (revert it with: pandadoc draft ${documentId})`);
+        }
+        
+        const { patch, changes, errors } = planFieldChanges(values, result.fields || [], details.tokens || []);
+        if (errors.length > 0) {
+          const err = new Error(`Invalid value(s): ${errors.join('; ')}`);
+          err.data = { errors };
+          throw err;
+        }
+        
+        const dryRun = Boolean(parsed.options['dry-run']);
+        if (changes.length > 0 && !dryRun) {
+          client.updateDocument(documentId, patch);
+        }
+        printResult({ id: documentId, name: details.name, dry_run: dryRun, changes }, parsed.options, VIEWS.fieldChanges);
+        break;
+      }
+      
+      case 'send': {
+        const documentId = parsed.positional[0];
+        if (!documentId) {
+          console.error('Error: Document ID required');
+          console.error('Usage: pandadoc send <documentId> [--message "..."] [--subject "..."]');
+          process.exit(1);
+        }
+        
+        const sendOptions = {};
+        if (parsed.options.m || parsed.options.message) {
+          sendOptions.message = parsed.options.m || parsed.options.message;
         }
-        if (parsed.options.t || parsed.options.tag) params.tag = parsed.options.t || parsed.options.tag;
-        if (parsed.options.template) params.templateId = parsed.options.template;
-        if (parsed.options.folder) params.folderUuid = parsed.options.folder;
-        if (parsed.options.n || parsed.options.count) params.count = parsed.options.n || parsed.options.count;
-        if (parsed.options.p || parsed.options.page) params.page = parsed.options.p || parsed.options.page;
-        if (parsed.options.order) params.orderBy = parsed.options.order;
-        if (parsed.options.deleted) params.deleted = true;
-        if (parsed.options['created-from']) params.createdFrom = parsed.options['created-from'];
-        if (parsed.options['created-to']) params.createdTo = parsed.options['created-to'];
-        if (parsed.options['modified-from']) params.modifiedFrom = parsed.options['modified-from'];
-        if (parsed.options['modified-to']) params.modifiedTo = parsed.options['modified-to'];
-        if (parsed.options['completed-from']) params.completedFrom = parsed.options['completed-from'];
-        if (parsed.options['completed-to']) params.completedTo = parsed.options['completed-to'];
+        if (parsed.options.subject) {
+          sendOptions.subject = parsed.options.subject;
+        }
+        if (parsed.options.silent) {
+          sendOptions.silent = true;
+        }
+        
+        const result = client.sendDocument(documentId, sendOptions);
+        printResult(result, parsed.options, {
+          summary: sent => formatConfirmation('Document sent successfully!', {
+            'Document ID': documentId,
+            Status: STATUS_LABELS[sent.status] || sent.status
+          })
+        });
+        break;
+      }
+      
+      case 'create': {
+        const dataFile = parsed.options.d || parsed.options.data;
+        const spec = dataFile ? loadDataFile(dataFile) : {};
+        const payload = buildDocumentPayload(spec, {
+          templateId: parsed.options.template,
+          name: parsed.options.name,
+          folderUuid: parsed.options.folder
+        });
         
-        const result = client.listDocuments(params);
+        if (!payload.template_uuid) {
+          console.error('Error: Template ID required');
+          console.error('Usage: pandadoc create --template <templateId> --data <spec.json|spec.yaml>');
+          process.exit(1);
+        }
         
-        if (parsed.options.summary) {
-          const docs = result.results || [];
-          console.log(`Found ${docs.length} document(s)\n`);
-          for (const doc of docs) {
-            console.log(formatDocument(doc));
+        if (!parsed.options['skip-validation']) {
+          const template = client.getTemplateDetails(payload.template_uuid);
+          const errors = validateDocumentPayload(payload, template);
+          if (errors.length > 0) {
+            const err = new Error(`Document spec does not match template: ${errors.join('; ')}`);
+            err.data = { errors };
+            throw err;
           }
-        } else {
-          console.log(JSON.stringify(result, null, 2));
         }
+        
+        const result = client.createDocument(payload);
+        printResult(result, parsed.options, {
+          summary: doc => formatConfirmation('Document created successfully!', {
+            'Document ID': doc.id,
+            Name: doc.name,
+            Status: STATUS_LABELS[doc.status] || doc.status
+          }),
+          fields: ['id', 'name', 'status']
+        });
         break;
       }
       
-      case 'get': {
+      case 'upload': {
+        const filePath = parsed.positional[0];
+        if (!filePath) {
+          console.error('Error: File path required');
+          console.error('Usage: pandadoc upload <file.pdf> [--data spec.json] [--parse-form-fields]');
+          process.exit(1);
+        }
+        if (!fs.existsSync(filePath)) {
+          console.error(`Error: File not found: ${filePath}`);
+          process.exit(1);
+        }
+        if (!UPLOAD_CONTENT_TYPES[path.extname(filePath).toLowerCase()]) {
+          console.error(`Error: Unsupported file type '${path.extname(filePath)}' (supported: ${Object.keys(UPLOAD_CONTENT_TYPES).join(', ')})`);
+          process.exit(1);
+        }
+        
+        const dataFile = parsed.options.d || parsed.options.data;
+        const spec = dataFile ? loadDataFile(dataFile) : {};
+        const data = buildDocumentPayload(spec, {
+          name: parsed.options.name || spec.name || path.basename(filePath, path.extname(filePath)),
+          folderUuid: parsed.options.folder
+        });
+        if (parsed.options.t || parsed.options.tag) {
+          data.tags = String(parsed.options.t || parsed.options.tag).split(',').map(tag => tag.trim());
+        }
+        if (parsed.options['parse-form-fields'] || spec.parse_form_fields) {
+          data.parse_form_fields = true;
+        }
+        
+        let result = client.uploadDocument(filePath, data);
+        
+        if (parsed.options.wait) {
+          if (parsed.options.summary) {
+            console.log(`Uploaded ${result.id}, waiting for draft...`);
+          }
+          result = client.waitForStatus(result.id, DOCUMENT_STATUS.DRAFT, {
+            timeout: parseDuration(parsed.options.timeout || '2m')
+          });
+        }
+        
+        printResult(result, parsed.options, {
+          summary: doc => formatConfirmation(doc.status === DOCUMENT_STATUS.DRAFT ? 'Document ready as draft!' : 'Document uploaded successfully!', {
+            'Document ID': doc.id,
+            Name: doc.name,
+            Status: STATUS_LABELS[doc.status] || doc.status
+          }),
+          fields: ['id', 'name', 'status']
+        });
+        break;
+      }
+      
+      case 'wait': {
         const documentId = parsed.positional[0];
-        if (!documentId) {
-          console.error('Error: Document ID required');
-          console.error('Usage: pandadoc get <documentId>');
+        const until = parsed.options.until || parsed.options.u;
+        if (!documentId || !until || until === true) {
+          console.error('Error: Document ID and target status required');
+          console.error('Usage: pandadoc wait <documentId> --until draft|sent|completed [--timeout 10m]');
           process.exit(1);
         }
         
-        const result = client.getDocumentStatus(documentId);
+        const targetStatus = STATUS_MAP[until.toLowerCase()] || until;
+        if (!STATUS_LABELS[targetStatus]) {
+          console.error(`Error: Unknown status '${until}'`);
+          console.error(`Valid statuses: ${Object.keys(STATUS_MAP).join(', ')}`);
+          process.exit(1);
+        }
+        let lastStatus = null;
+        const result = client.waitForStatus(documentId, targetStatus, {
+          timeout: parseDuration(parsed.options.timeout || '10m'),
+          interval: parseDuration(parsed.options.interval || '1s'),
+          onProgress: (doc, elapsed) => {
+            // Progress goes to stderr so JSON output stays parseable
+            if (doc.status !== lastStatus || parsed.options.summary) {
+              console.error(`[${Math.round(elapsed / 1000)}s] ${STATUS_LABELS[doc.status] || doc.status}`);
+              lastStatus = doc.status;
+            }
+          }
+        });
         
-        if (parsed.options.summary) {
-          console.log(formatDocument(result));
-        } else {
-          console.log(JSON.stringify(result, null, 2));
+        printResult(result, parsed.options, {
+          ...VIEWS.document,
+          summary: doc => `Document reached ${STATUS_LABELS[doc.status] || doc.status}\n${formatDocument(doc)}`
+        });
+        break;
+      }
+      
+      case 'export': {
+        const outDir = parsed.options.out || parsed.options.o;
+        if (!outDir || outDir === true) {
+          console.error('Error: Output directory required');
+          console.error('Usage: pandadoc export [list filters] --out tmp/archive/');
+          process.exit(1);
+        }
+        
+        const params = buildListParams(parsed.options);
+        delete params.page;
+        const stats = exportDocuments(client, params, outDir, {
+          limit: parsed.options.limit,
+          force: parsed.options.force,
+          onWarning: message => console.error(`Warning: ${message}`),
+          onProgress: (state, doc, error) => {
+            console.error(`[${state}] ${doc.name} (${doc.id})${error ? `: ${error.message}` : ''}`);
+          }
+        });
+        
+        printResult({ out: outDir, manifest: path.join(outDir, 'manifest.json'), ...stats }, parsed.options, VIEWS.exportStats);
+        if (stats.failed > 0) {
+          process.exit(EXIT_CODES.ERROR);
         }
         break;
       }
       
-      case 'details': {
+      case 'sync': {
+        const outDir = parsed.options.out || parsed.options.o || parsed.options.cache;
+        if (!outDir || outDir === true) {
+          console.error('Error: Cache directory required');
+          console.error('Usage: pandadoc sync --out tmp/cache/ [--full]');
+          process.exit(1);
+        }
+        
+        const stats = syncDocuments(client, outDir, {
+          full: parsed.options.full,
+          onProgress: (state, doc, error) => {
+            console.error(`[${state}] ${doc.name} (${doc.id})${error ? `: ${error.message}` : ''}`);
+          }
+        });
+        
+        printResult(stats, parsed.options, VIEWS.syncStats);
+        if (stats.failed > 0) {
+          process.exit(EXIT_CODES.ERROR);
+        }
+        break;
+      }
+      
+      case 'evidence': {
         const documentId = parsed.positional[0];
         if (!documentId) {
           console.error('Error: Document ID required');
-          console.error('Usage: pandadoc details <documentId>');
+          console.error('Usage: pandadoc evidence <documentId> [--out tmp/evidence/<documentId>/]');
           process.exit(1);
         }
         
-        const result = client.getDocumentDetails(documentId);
+        const outDir = parsed.options.out || parsed.options.o || path.join('tmp', 'evidence', documentId);
+        const bundle = collectEvidence(client, documentId, outDir, {
+          force: parsed.options.force
+        });
+        printResult(bundle, parsed.options, VIEWS.evidence);
+        break;
+      }
+      
+      case 'bulk-send': {
+        const templateId = parsed.options.template;
+        const csvFile = parsed.options.csv;
+        const mapFile = parsed.options.map;
+        if (!templateId || !csvFile || !mapFile) {
+          console.error('Error: --template, --csv and --map required');
+          console.error('Usage: pandadoc bulk-send --template <templateId> --csv tmp/customers.csv --map tmp/mapping.yaml [--dry-run]');
+          process.exit(1);
+        }
         
-        if (parsed.options.summary) {
-          console.log(formatDocumentDetails(result));
-        } else {
-          console.log(JSON.stringify(result, null, 2));
+        const csv = loadCsvFile(csvFile);
+        const mapping = loadDataFile(mapFile) || {};
+        const template = client.getTemplateDetails(templateId);
+        const plan = planBulkSend(csv, mapping, template, {
+          templateId,
+          key: parsed.options.key,
+          subject: parsed.options.subject,
+          message: parsed.options.m || parsed.options.message,
+          silent: parsed.options.silent
+        });
+        
+        const dryRun = Boolean(parsed.options['dry-run']);
+        const invalid = plan.filter(entry => entry.errors.length > 0);
+        if (!dryRun && invalid.length > 0 && !parsed.options['skip-invalid']) {
+          const err = new Error(`${invalid.length} of ${plan.length} row(s) are invalid; fix them, or re-run with --skip-invalid (see --dry-run for details)`);
+          err.data = { rows: invalid.map(entry => ({ row: entry.row, key: entry.key, errors: entry.errors })) };
+          throw err;
+        }
+        
+        const stateFile = parsed.options.state || `${csvFile}.state.json`;
+        const state = loadBulkState(stateFile, { template_uuid: templateId, csv: csvFile });
+        const results = bulkSendDocuments(client, plan, state, {
+          dryRun,
+          stateFile,
+          timeout: parseDuration(parsed.options.timeout || '2m'),
+          onProgress: result => {
+            if (!dryRun) console.error(`[${result.status}] row ${result.row} ${result.recipient}${result.document_id ? ` (${result.document_id})` : ''}${result.error ? `: ${result.error}` : ''}`);
+          }
+        });
+        
+        printResult({ csv: csvFile, template_uuid: templateId, state: stateFile, dry_run: dryRun, rows: results }, parsed.options, VIEWS.bulkSend);
+        if (results.some(result => ['failed', 'invalid', 'awaiting_approval'].includes(result.status))) {
+          process.exit(EXIT_CODES.ERROR);
         }
         break;
       }
       
-      case 'download': {
+      case 'recipients': {
+        const actions = ['list', 'add', 'remove', 'update', 'reassign'];
+        // The action may come before or after the document ID
+        const actionIndex = parsed.positional.slice(0, 2).findIndex(arg => actions.includes(arg));
+        const action = actionIndex === -1 ? 'list' : parsed.positional.splice(actionIndex, 1)[0];
         const documentId = parsed.positional[0];
         if (!documentId) {
           console.error('Error: Document ID required');
-          console.error('Usage: pandadoc download <documentId> [-o output.pdf]');
+          console.error('Usage: pandadoc recipients [list|add|remove|update|reassign] <documentId> [options]');
+          process.exit(1);
+        }
+        if (parsed.positional.length > 1) {
+          console.error(`Error: Unknown recipients action '${parsed.positional[1]}' (expected: ${actions.join(', ')})`);
+          console.error('Usage: pandadoc recipients [list|add|remove|update|reassign] <documentId> [options]');
           process.exit(1);
         }
         
-        // Get document info for default filename
-        let outputPath = parsed.options.o || parsed.options.output;
-        if (!outputPath) {
-          const docInfo = client.getDocumentStatus(documentId);
-          const safeName = docInfo.name.replace(/[^a-zA-Z0-9-_]/g, '_');
-          outputPath = `tmp/${safeName}.pdf`;
+        const details = client.getDocumentDetails(documentId);
+        
+        if (action === 'list') {
+          printResult(details.recipients || [], parsed.options, {
+            ...VIEWS.recipients,
+            summary: recipients => `Recipients of ${details.name} (${recipients.length})\n\n${formatRecipients(recipients)}`
+          });
+          break;
         }
         
-        // Ensure directory exists
-        const dir = path.dirname(outputPath);
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
+        // Check the document status before touching the API
+        const allowed = RECIPIENT_ACTION_STATUSES[action];
+        if (!allowed.includes(details.status)) {
+          const err = new Error(`Cannot ${action} recipients on a document in ${STATUS_LABELS[details.status] || details.status} status (allowed: ${allowed.map(status => STATUS_LABELS[status]).join(', ')})`);
+          err.data = { status: details.status };
+          throw err;
         }
         
-        let content;
-        if (parsed.options.protected) {
-          content = client.downloadProtectedDocument(documentId);
-        } else {
-          content = client.downloadDocument(documentId, {
-            watermark: parsed.options.watermark
-          });
+        const changes = recipientFromOptions(parsed.options);
+        const target = action === 'add' ? null : parsed.options.recipient || parsed.options.r;
+        if (action !== 'add' && (!target || target === true)) {
+          console.error('Error: --recipient <email|id> required');
+          console.error(`Usage: pandadoc recipients ${action} <documentId> --recipient <email|id>`);
+          process.exit(1);
+        }
+        const recipient = target ? findRecipient(details, target) : null;
+        
+        let result;
+        switch (action) {
+          case 'add':
+            if (!changes.email) {
+              console.error('Error: --email required');
+              console.error('Usage: pandadoc recipients add <documentId> --email <email> [--first-name ...] [--role ...] [--signing-order n]');
+              process.exit(1);
+            }
+            result = client.addDocumentRecipient(documentId, changes);
+            break;
+          case 'remove':
+            result = client.deleteDocumentRecipient(documentId, recipient.id);
+            break;
+          case 'update':
+            if (Object.keys(changes).length === 0) {
+              console.error('Error: Nothing to update (use --email, --first-name, --last-name, --role or --signing-order)');
+              process.exit(1);
+            }
+            result = client.updateDocumentRecipient(documentId, recipient.id, changes);
+            break;
+          case 'reassign':
+            if (recipient.has_completed) {
+              throw new Error(`${recipient.email} has already completed the document and cannot be reassigned`);
+            }
+            if (!changes.email) {
+              console.error('Error: --email of the new signer required');
+              console.error('Usage: pandadoc recipients reassign <documentId> --recipient <email|id> --email <new email> [--first-name ...]');
+              process.exit(1);
+            }
+            result = client.reassignDocumentRecipient(documentId, recipient.id, changes);
+            break;
         }
         
-        fs.writeFileSync(outputPath, content);
-        console.log(`Downloaded to: ${outputPath}`);
+        const verbs = { add: 'added', remove: 'removed', update: 'updated', reassign: 'reassigned' };
+        printResult(result, parsed.options, {
+          summary: () => formatConfirmation(`Recipient ${verbs[action]} successfully!`, {
+            'Document ID': documentId,
+            Recipient: recipient ? recipient.email : null,
+            [action === 'reassign' ? 'New signer' : 'Email']: action !== 'update' ? changes.email : null
+          })
+        });
         break;
       }
       
-      case 'templates': {
-        const params = {};
-        if (parsed.options.q || parsed.options.query) params.q = parsed.options.q || parsed.options.query;
-        if (parsed.options.t || parsed.options.tag) params.tag = parsed.options.t || parsed.options.tag;
-        if (parsed.options.n || parsed.options.count) params.count = parsed.options.n || parsed.options.count;
-        if (parsed.options.p || parsed.options.page) params.page = parsed.options.p || parsed.options.page;
-        if (parsed.options.deleted) params.deleted = true;
-        
-        const result = client.listTemplates(params);
+      case 'remind': {
+        const documentId = parsed.positional[0];
+        const dryRun = Boolean(parsed.options['dry-run']);
+        const message = parsed.options.m || parsed.options.message;
         
-        if (parsed.options.summary) {
-          const templates = result.results || [];
-          console.log(`Found ${templates.length} template(s)\n`);
-          for (const tmpl of templates) {
-            console.log(`${tmpl.name}`);
-            console.log(`  ID: ${tmpl.id}`);
-            console.log(`  Created: ${formatDate(tmpl.date_created)}`);
-            console.log(`  Modified: ${formatDate(tmpl.date_modified)}`);
-            if (tmpl.tags && tmpl.tags.length > 0) {
-              console.log(`  Tags: ${tmpl.tags.join(', ')}`);
+        // Automatic reminder settings for a single document
+        if (parsed.options.auto) {
+          if (!documentId) {
+            console.error('Error: Document ID required');
+            console.error('Usage: pandadoc remind <documentId> --auto [on|off] [--first-after 2d] [--repeat-every 3d]');
+            process.exit(1);
+          }
+          
+          // Same shape as the endpoint returns: { enabled, options: { ... } }
+          const wholeDays = option => {
+            const days = parseDuration(parsed.options[option]) / 86400000;
+            if (!Number.isInteger(days) || days < 1) {
+              throw new Error(`--${option} must be a whole number of days, e.g. 2d (got ${parsed.options[option]})`);
             }
-            console.log();
+            return days;
+          };
+          const settings = {};
+          if (parsed.options.auto === 'on' || parsed.options.auto === 'off') {
+            settings.enabled = parsed.options.auto === 'on';
           }
-        } else {
-          console.log(JSON.stringify(result, null, 2));
+          if (parsed.options['first-after']) {
+            settings.options = { ...settings.options, first_reminder_days: wholeDays('first-after') };
+          }
+          if (parsed.options['repeat-every']) {
+            settings.options = { ...settings.options, repeat_reminder_days: wholeDays('repeat-every') };
+          }
+          
+          const result = Object.keys(settings).length > 0
+            ? client.updateAutoReminders(documentId, settings)
+            : client.getAutoReminders(documentId);
+          
+          printResult(result, parsed.options, VIEWS.autoReminders);
+          break;
         }
-        break;
-      }
-      
-      case 'folders': {
-        const params = {};
-        if (parsed.options.parent) params.parent_uuid = parsed.options.parent;
-        if (parsed.options.n || parsed.options.count) params.count = parsed.options.n || parsed.options.count;
-        if (parsed.options.p || parsed.options.page) params.page = parsed.options.p || parsed.options.page;
         
-        const result = client.listDocumentFolders(params);
+        // A single document, or every outstanding document matching the filters
+        let documents;
+        if (documentId) {
+          documents = [{ id: documentId }];
+        } else {
+          const params = buildListParams(parsed.options);
+          delete params.page;
+          const statuses = params.status ? [params.status] : REMINDABLE_STATUSES;
+          documents = (function* () {
+            for (const status of statuses) {
+              yield* paginate(page => client.listDocuments(page), { ...params, status });
+            }
+          })();
+        }
+        const cutoff = parsed.options['older-than'] ? Date.now() - parseDuration(parsed.options['older-than']) : null;
         
-        if (parsed.options.summary) {
-          const folders = result.results || [];
-          console.log(`Found ${folders.length} folder(s)\n`);
-          for (const folder of folders) {
-            console.log(`${folder.name}`);
-            console.log(`  UUID: ${folder.uuid}`);
-            console.log(`  Created: ${formatDate(folder.date_created)}`);
-            console.log();
+        const results = [];
+        for (const doc of documents) {
+          const details = client.getDocumentDetails(doc.id);
+          if (documentId && !REMINDABLE_STATUSES.includes(details.status)) {
+            throw new Error(`Document is ${STATUS_LABELS[details.status] || details.status}; reminders can only be sent for Sent or Viewed documents`);
           }
-        } else {
-          console.log(JSON.stringify(result, null, 2));
+          const sentAt = details.date_sent || details.date_modified || details.date_created;
+          if (cutoff && sentAt && new Date(sentAt).getTime() > cutoff) continue;
+          
+          const pending = pendingRecipients(details);
+          if (pending.length === 0) continue;
+          
+          const entry = {
+            id: details.id,
+            name: details.name,
+            status: details.status,
+            sent: sentAt,
+            recipients: pending.map(recipient => recipient.email),
+            reminded: false
+          };
+          if (!dryRun) {
+            try {
+              client.sendDocumentReminder(details.id, message ? { message } : {});
+              entry.reminded = true;
+            } catch (e) {
+              // Keep going so one failure doesn't stop a bulk run
+              if (documentId) throw e;
+              entry.error = e.message;
+            }
+          }
+          results.push(entry);
+        }
+        
+        printResult({ dry_run: dryRun, documents: results }, parsed.options, VIEWS.reminders);
+        if (results.some(entry => entry.error)) {
+          process.exit(EXIT_CODES.ERROR);
         }
         break;
       }
       
-      case 'me': {
-        const result = client.getCurrentMember();
+      case 'void':
+      case 'draft':
+      case 'status': {
+        const action = parsed.command;
+        const documentId = parsed.positional[0];
+        const reason = parsed.options.reason;
+        const usage = {
+          void: 'pandadoc void <documentId> --reason "..." [--yes]',
+          draft: 'pandadoc draft <documentId> --reason "..." [--yes]',
+          status: 'pandadoc status <documentId> --set completed|voided|declined --reason "..." [--yes]'
+        };
+        if (!documentId) {
+          console.error('Error: Document ID required');
+          console.error(`Usage: ${usage[action]}`);
+          process.exit(1);
+        }
+        if (!reason || reason === true) {
+          console.error('Error: --reason required');
+          console.error(`Usage: ${usage[action]}`);
+          process.exit(1);
+        }
         
-        if (parsed.options.summary) {
-          console.log(`${result.first_name} ${result.last_name}`);
-          console.log(`  Email: ${result.email}`);
-          console.log(`  Member ID: ${result.id}`);
-          if (result.workspace) {
-            console.log(`  Workspace: ${result.workspace.name}`);
+        let targetStatus = DOCUMENT_STATUS.DRAFT;
+        if (action === 'void') {
+          targetStatus = DOCUMENT_STATUS.VOIDED;
+        } else if (action === 'status') {
+          // --set is repeatable for `fields`, so it always arrives as a list
+          const requested = [].concat(parsed.options.set || []);
+          if (requested.length > 1) {
+            console.error('Error: --set takes a single status');
+            console.error(`Usage: ${usage[action]}`);
+            process.exit(1);
           }
-        } else {
-          console.log(JSON.stringify(result, null, 2));
+          targetStatus = requested[0] && requested[0] !== true ? STATUS_MAP[requested[0].toLowerCase()] || requested[0] : null;
+          if (!MANUAL_STATUS_CODES[targetStatus]) {
+            console.error(`Error: --set must be one of: ${Object.keys(MANUAL_STATUS_CODES).map(status => status.replace('document.', '')).join(', ')}`);
+            console.error(`Usage: ${usage[action]}`);
+            process.exit(1);
+          }
+        }
+        
+        // Always show where the document is now before changing it
+        const current = client.getDocumentStatus(documentId);
+        const currentLabel = STATUS_LABELS[current.status] || current.status;
+        const targetLabel = STATUS_LABELS[targetStatus];
+        console.error(`${current.name} (${documentId})`);
+        console.error(`  Current status: ${currentLabel}`);
+        console.error(`  New status: ${targetLabel}`);
+        console.error(`  Reason: ${reason}`);
+        
+        const allowed = LIFECYCLE_ALLOWED_STATUSES[action];
+        if (!allowed.includes(current.status)) {
+          const err = new Error(`Cannot change a document in ${currentLabel} status to ${targetLabel} (allowed from: ${allowed.map(status => STATUS_LABELS[status]).join(', ')})`);
+          err.data = { status: current.status };
+          throw err;
+        }
+        
+        if (!confirmAction(`Change status from ${currentLabel} to ${targetLabel}?`, { yes: parsed.options.yes || parsed.options.y })) {
+          console.error('Aborted.');
+          process.exit(EXIT_CODES.ERROR);
         }
+        
+        // Reverting to draft takes no note, so the reason is only echoed back
+        const result = action === 'draft'
+          ? client.revertDocumentToDraft(documentId)
+          : client.changeDocumentStatus(documentId, targetStatus, {
+            note: reason,
+            notifyRecipients: !parsed.options.silent
+          });
+        
+        printResult({
+          id: documentId,
+          previous_status: current.status,
+          status: targetStatus,
+          reason,
+          result
+        }, parsed.options, {
+          summary: () => formatConfirmation('Document status changed successfully!', {
+            'Document ID': documentId,
+            'Previous status': currentLabel,
+            Status: targetLabel,
+            Reason: reason
+          }),
+          fields: ['id', 'previous_status', 'status', 'reason']
+        });
         break;
       }
       
-      case 'audit': {
+      case 'share': {
         const documentId = parsed.positional[0];
-        if (!documentId) {
-          console.error('Error: Document ID required');
-          console.error('Usage: pandadoc audit <documentId>');
+        const recipientEmail = parsed.options.recipient || parsed.options.r;
+        const allRecipients = Boolean(parsed.options['all-recipients']);
+        if (!documentId || (!allRecipients && (!recipientEmail || recipientEmail === true))) {
+          console.error('Error: Document ID and --recipient (or --all-recipients) required');
+          console.error('Usage: pandadoc share <documentId> --recipient <email> [--lifetime 3600]');
           process.exit(1);
         }
         
-        const result = client.getDocumentAuditTrail(documentId);
+        const lifetime = Math.round(parseDuration(parsed.options.lifetime || '3600') / 1000);
+        const details = client.getDocumentDetails(documentId);
+        if (!SHAREABLE_STATUSES.includes(details.status)) {
+          throw new Error(`Signing links need a sent document; ${documentId} is ${STATUS_LABELS[details.status] || details.status}`);
+        }
+        
+        const recipients = allRecipients ? pendingRecipients(details) : [findRecipient(details, recipientEmail)];
+        const links = [];
+        for (const recipient of recipients) {
+          const session = client.createDocumentSession(documentId, recipient.email, lifetime);
+          links.push({
+            recipient: recipient.email,
+            name: `${recipient.first_name || ''} ${recipient.last_name || ''}`.trim(),
+            session_id: session.id,
+            url: `${SESSION_BASE_URL}${session.id}`,
+            expires_at: session.expires_at
+          });
+        }
+        
+        printResult(allRecipients ? links : links[0], parsed.options, VIEWS.shareLinks);
+        break;
+      }
+      
+      case 'webhook': {
+        const action = parsed.positional[0];
+        const dispatchOptions = {
+          log: parsed.options.log,
+          exec: parsed.options.exec,
+          verbose: Boolean(parsed.options.summary)
+        };
         
-        if (parsed.options.summary) {
-          const events = result.results || result.events || [];
-          console.log(`Audit Trail (${events.length} events)\n`);
+        if (action === 'serve') {
+          const secret = parsed.options.secret || process.env.PANDADOC_WEBHOOK_SECRET;
+          if (!secret && !parsed.options['no-verify']) {
+            console.error('Error: --secret (or PANDADOC_WEBHOOK_SECRET) required to verify deliveries');
+            console.error('Usage: pandadoc webhook serve --port 8080 --secret <sharedKey> [--log tmp/events.ndjson] [--exec "<command>"]');
+            process.exit(1);
+          }
+          serveWebhooks({
+            ...dispatchOptions,
+            secret,
+            port: Number(parsed.options.port || 8080),
+            host: parsed.options.host || '127.0.0.1'
+          });
+        } else if (action === 'replay') {
+          const file = parsed.positional[1];
+          if (!file) {
+            console.error('Error: Replay file required');
+            console.error('Usage: pandadoc webhook replay <file.ndjson|payload.json> [--exec "<command>"]');
+            process.exit(1);
+          }
+          if (!fs.existsSync(file)) {
+            throw new Error(`File not found: ${file}`);
+          }
+          
+          const events = parseWebhookEvents(fs.readFileSync(file, 'utf8'));
           for (const event of events) {
-            const date = formatDate(event.date || event.timestamp);
-            const actor = event.actor?.email || event.user_email || 'System';
-            console.log(`${date} - ${event.event_type || event.action}`);
-            console.log(`  By: ${actor}`);
-            if (event.details || event.description) {
-              console.log(`  ${event.details || event.description}`);
+            const normalized = dispatchWebhookEvent(event, dispatchOptions);
+            if (dispatchOptions.verbose) {
+              console.error(`${normalized.event}: ${normalized.document_name || normalized.document_id} -> ${normalized.status_label || 'n/a'}`);
             }
-            console.log();
+          }
+          if (parsed.options.summary) {
+            console.error(`Replayed ${events.length} event(s)`);
           }
         } else {
-          console.log(JSON.stringify(result, null, 2));
+          console.error('Error: Unknown webhook action');
+          console.error('Usage: pandadoc webhook serve|replay [options]');
+          process.exit(1);
         }
         break;
       }
       
-      case 'fields': {
-        const documentId = parsed.positional[0];
-        if (!documentId) {
-          console.error('Error: Document ID required');
-          console.error('Usage: pandadoc fields <documentId>');
-          process.exit(1);
-        }
+      case 'webhooks': {
+        const action = parsed.positional[0] || 'list';
+        const target = parsed.positional[1];
         
-        const result = client.listDocumentFields(documentId);
+        switch (action) {
+          case 'list': {
+            const result = client.listWebhookSubscriptions();
+            for (const key of ['items', 'results']) {
+              if (Array.isArray(result[key])) result[key] = result[key].map(redactWebhookSubscription);
+            }
+            printResult(result, parsed.options, VIEWS.webhookSubscriptions);
+            break;
+          }
+          
+          case 'create': {
+            const subscription = { active: true, payload: [], ...webhookSubscriptionFromOptions(parsed.options) };
+            if (!subscription.name || !subscription.url || !subscription.triggers) {
+              console.error('Error: --name, --url and --triggers required');
+              console.error('Usage: pandadoc webhooks create --name <name> --url <url> --triggers document_state_changed,recipient_completed [--payload fields,metadata]');
+              process.exit(1);
+            }
+            const result = client.createWebhookSubscription(subscription);
+            printResult(result, parsed.options, {
+              // list and update leave the shared key out, so this is the only place it's shown
+              summary: created => `Webhook subscription created successfully!\n\n${formatWebhookSubscription(created)}\nShared key (shown only once - store it now): ${created.shared_key}`,
+              fields: ['uuid', 'name', 'url', 'active', 'triggers', 'shared_key']
+            });
+            break;
+          }
+          
+          case 'update': {
+            if (!target) {
+              console.error('Error: Subscription UUID required');
+              console.error('Usage: pandadoc webhooks update <uuid> [--name] [--url] [--triggers] [--payload] [--active true|false]');
+              process.exit(1);
+            }
+            const changes = webhookSubscriptionFromOptions(parsed.options);
+            if (Object.keys(changes).length === 0) {
+              console.error('Error: Nothing to update (use --name, --url, --triggers, --payload or --active)');
+              process.exit(1);
+            }
+            const result = redactWebhookSubscription(client.updateWebhookSubscription(target, changes));
+            printResult(result, parsed.options, {
+              ...VIEWS.webhookSubscription,
+              summary: updated => `Webhook subscription updated successfully!\n\n${formatWebhookSubscription(updated)}`
+            });
+            break;
+          }
+          
+          case 'delete': {
+            if (!target) {
+              console.error('Error: Subscription UUID required');
+              console.error('Usage: pandadoc webhooks delete <uuid> [--yes]');
+              process.exit(1);
+            }
+            if (!confirmAction(`Delete webhook subscription ${target}?`, { yes: parsed.options.yes || parsed.options.y })) {
+              console.error('Aborted.');
+              process.exit(EXIT_CODES.ERROR);
+            }
+            const result = client.deleteWebhookSubscription(target);
+            printResult(result, parsed.options, {
+              summary: () => `Webhook subscription deleted: ${target}`
+            });
+            break;
+          }
+          
+          case 'events': {
+            // A single event shows the full request and response
+            if (target) {
+              const result = client.getWebhookEvent(target);
+              printResult(result, parsed.options, VIEWS.webhookEvent);
+              break;
+            }
+            
+            const params = {};
+            if (parsed.options.since) params.since = parsed.options.since;
+            if (parsed.options.to) params.to = parsed.options.to;
+            if (parsed.options.type) params.type = parsed.options.type;
+            if (parsed.options.n || parsed.options.count) params.count = parsed.options.n || parsed.options.count;
+            if (parsed.options.p || parsed.options.page) params.page = parsed.options.p || parsed.options.page;
+            
+            let events = pageItems(page => client.listWebhookEvents(page), params, parsed.options);
+            if (parsed.options.failed) {
+              // Failures are picked out here, so walk pages until enough are
+              // found; --limit (or --count for a single page) counts failures
+              const limit = parsed.options.limit ? Number(parsed.options.limit) : parsed.options.all ? Infinity : Number(params.count) || MAX_PAGE_SIZE;
+              events = (function* () {
+                let found = 0;
+                for (const event of paginate(page => client.listWebhookEvents(page), params)) {
+                  if (found >= limit) return;
+                  if (!isFailedWebhookEvent(event)) continue;
+                  found++;
+                  yield event;
+                }
+              })();
+            }
+            printItems(events, parsed.options, {
+              ...VIEWS.webhookEvents,
+              label: parsed.options.failed ? 'failed delivery' : 'webhook event'
+            });
+            break;
+          }
+          
+          default:
+            console.error(`Error: Unknown webhooks action '${action}'`);
+            console.error('Usage: pandadoc webhooks list|create|update|delete|events');
+            process.exit(1);
+        }
+        break;
+      }
+      
+      case 'contacts': {
+        const action = parsed.positional[0] || 'list';
+        const target = parsed.positional[1];
         
-        if (parsed.options.summary) {
-          const fields = result.fields || [];
-          console.log(`Document Fields (${fields.length})\n`);
-          for (const field of fields) {
-            const value = field.value !== undefined && field.value !== '' ? field.value : '(empty)';
-            console.log(`${field.name}: ${value}`);
+        switch (action) {
+          case 'list': {
+            const params = {};
+            if (parsed.options.email) params.email = parsed.options.email;
+            const result = client.listContacts(params);
+            printResult(result, parsed.options, VIEWS.contacts);
+            break;
           }
-        } else {
-          console.log(JSON.stringify(result, null, 2));
+          
+          case 'get': {
+            if (!target) {
+              console.error('Error: Contact ID or email required');
+              console.error('Usage: pandadoc contacts get <contactId|email>');
+              process.exit(1);
+            }
+            printResult(resolveContact(client, target), parsed.options, VIEWS.contact);
+            break;
+          }
+          
+          case 'create': {
+            const contact = contactFromOptions(parsed.options);
+            if (!contact.email) {
+              console.error('Error: --email required');
+              console.error('Usage: pandadoc contacts create --email <email> [--first-name] [--last-name] [--company] [--job-title] [--phone]');
+              process.exit(1);
+            }
+            const result = client.createContact(contact);
+            printResult(result, parsed.options, {
+              ...VIEWS.contact,
+              summary: created => `Contact created successfully!\n\n${formatContact(created)}`
+            });
+            break;
+          }
+          
+          case 'update': {
+            if (!target) {
+              console.error('Error: Contact ID or email required');
+              console.error('Usage: pandadoc contacts update <contactId|email> [--email] [--first-name] [--last-name] [--company] ...');
+              process.exit(1);
+            }
+            const changes = contactFromOptions(parsed.options);
+            if (Object.keys(changes).length === 0) {
+              console.error(`Error: Nothing to update (use ${CONTACT_FIELDS.map(field => `--${field.replace(/_/g, '-')}`).join(', ')})`);
+              process.exit(1);
+            }
+            const contact = resolveContact(client, target);
+            const result = client.updateContact(contact.id, changes);
+            printResult(result, parsed.options, {
+              ...VIEWS.contact,
+              summary: updated => `Contact updated successfully!\n\n${formatContact(updated)}`
+            });
+            break;
+          }
+          
+          case 'delete': {
+            if (!target) {
+              console.error('Error: Contact ID or email required');
+              console.error('Usage: pandadoc contacts delete <contactId|email> [--yes]');
+              process.exit(1);
+            }
+            const contact = resolveContact(client, target);
+            if (!confirmAction(`Delete contact ${contact.email} (${contact.id})?`, { yes: parsed.options.yes || parsed.options.y })) {
+              console.error('Aborted.');
+              process.exit(EXIT_CODES.ERROR);
+            }
+            const result = client.deleteContact(contact.id);
+            printResult(result, parsed.options, {
+              summary: () => `Contact deleted: ${contact.email} (${contact.id})`
+            });
+            break;
+          }
+          
+          case 'import': {
+            if (!target) {
+              console.error('Error: CSV file required');
+              console.error('Usage: pandadoc contacts import <file.csv> [--map "Column=field,..."] [--dry-run]');
+              process.exit(1);
+            }
+            
+            const csv = loadCsvFile(target);
+            const mapping = mapContactColumns(csv.headers, parsed.options.map);
+            const dryRun = Boolean(parsed.options['dry-run']);
+            
+            // Existing contacts decide between create and update
+            const existing = client.listContacts();
+            const existingByEmail = new Map();
+            for (const contact of Array.isArray(existing) ? existing : existing.results || []) {
+              if (contact.email) existingByEmail.set(contact.email.toLowerCase(), contact);
+            }
+            
+            const plan = planContactImport(csv, mapping, existingByEmail);
+            const report = { file: target, dry_run: dryRun, mapping, created: 0, updated: 0, skipped: 0, failed: 0, rows: [] };
+            for (const entry of plan) {
+              const { contact, changes, ...row } = entry;
+              try {
+                if (entry.action === 'create') {
+                  row.id = dryRun ? null : client.createContact(contact).id;
+                  report.created++;
+                } else if (entry.action === 'update') {
+                  if (!dryRun) client.updateContact(entry.id, changes);
+                  row.changes = Object.keys(changes);
+                  report.updated++;
+                } else {
+                  report.skipped++;
+                }
+              } catch (e) {
+                row.action = 'failed';
+                row.error = e.message;
+                report.failed++;
+              }
+              report.rows.push(row);
+            }
+            
+            printResult(report, parsed.options, VIEWS.contactImport);
+            if (report.failed > 0) {
+              process.exit(EXIT_CODES.ERROR);
+            }
+            break;
+          }
+          
+          default:
+            console.error(`Error: Unknown contacts action '${action}'`);
+            console.error('Usage: pandadoc contacts list|get|create|update|delete|import');
+            process.exit(1);
         }
         break;
       }
       
-      case 'send': {
-        const documentId = parsed.positional[0];
-        if (!documentId) {
+      case 'config': {
+        const action = parsed.positional[0] || 'show';
+        if (action !== 'show') {
+          console.error(`Error: Unknown config action '${action}'`);
+          console.error('Usage: pandadoc config show [--profile <name>]');
+          process.exit(1);
+        }
+        
+        printResult(describeSettings(parsed.settings), parsed.options, {
+          summary: formatSettings,
+          rows: settings => settingRows(settings),
+          fields: ['setting', 'value']
+        });
+        break;
+      }
+      
+      case 'pricing': {
+        const documents = parsed.options.documents;
+        const ids = [
+          ...parsed.positional,
+          ...(typeof documents === 'string' ? documents.split(',').map(id => id.trim()).filter(Boolean) : [])
+        ];
+        if (ids.length === 0 && !documents) {
           console.error('Error: Document ID required');
-          console.error('Usage: pandadoc send <documentId> [--message "..."] [--subject "..."]');
+          console.error('Usage: pandadoc pricing <documentId> | --documents <id,id,...> | --documents [list filters]');
           process.exit(1);
         }
         
-        const sendOptions = {};
-        if (parsed.options.m || parsed.options.message) {
-          sendOptions.message = parsed.options.m || parsed.options.message;
+        // One document keeps its own shape; several (or a filter) become one sheet
+        if (ids.length === 1 && !documents) {
+          const pricing = buildPricing(client.getDocumentDetails(ids[0]));
+          printResult(pricing, parsed.options, VIEWS.pricing);
+          if (pricing.mismatches.length > 0) {
+            console.error(`Warning: ${pricing.mismatches.length} total(s) don't match the computed line items`);
+          }
+          break;
         }
-        if (parsed.options.subject) {
-          sendOptions.subject = parsed.options.subject;
+        
+        let docIds = ids;
+        if (ids.length === 0) {
+          const params = buildListParams(parsed.options);
+          delete params.page;
+          docIds = [...paginate(page => client.listDocuments(page), params, { limit: parsed.options.limit })].map(doc => doc.id);
         }
-        if (parsed.options.silent) {
-          sendOptions.silent = true;
+        
+        // A missing or forbidden document is reported and skipped, not fatal
+        const results = [];
+        const errors = [];
+        for (const id of docIds) {
+          try {
+            results.push(buildPricing(client.getDocumentDetails(id)));
+          } catch (e) {
+            errors.push({ id, error: e.message });
+            console.error(`[failed] ${id}: ${e.message}`);
+          }
+          if ((results.length + errors.length) % 25 === 0) {
+            console.error(`Loaded ${results.length + errors.length} document(s)...`);
+          }
         }
         
-        const result = client.sendDocument(documentId, sendOptions);
+        printResult({ documents: results, errors }, parsed.options, VIEWS.pricingDocuments);
+        const mismatched = results.filter(pricing => pricing.mismatches.length > 0);
+        if (mismatched.length > 0) {
+          console.error(`Warning: totals don't match the computed line items in ${mismatched.length} document(s): ${mismatched.map(pricing => pricing.id).join(', ')}`);
+        }
+        if (errors.length > 0) {
+          process.exit(EXIT_CODES.ERROR);
+        }
+        break;
+      }
+      
+      case 'stale': {
+        const groupBy = parsed.options['group-by'];
+        if (groupBy && !REPORT_GROUPS[groupBy]) {
+          console.error(`Error: --group-by must be one of: ${Object.keys(REPORT_GROUPS).join(', ')}`);
+          process.exit(1);
+        }
+        const olderThan = parsed.options['older-than'];
+        const expiringWithin = parsed.options['expiring-within'];
+        const cutoffs = {
+          olderThan: olderThan ? parseDuration(olderThan) : undefined,
+          expiringWithin: expiringWithin ? parseDuration(expiringWithin) : undefined
+        };
+        
+        const params = buildListParams(parsed.options);
+        delete params.page;
+        const statuses = params.status ? [params.status] : OUTSTANDING_STATUSES;
+        
+        const documents = [];
+        const now = Date.now();
+        let checked = 0;
+        for (const status of statuses) {
+          for (const doc of paginate(page => client.listDocuments(page), { ...params, status })) {
+            const details = client.getDocumentDetails(doc.id);
+            const entry = staleEntry(details, cutoffs, now);
+            if (entry) documents.push(groupBy ? { group: REPORT_GROUPS[groupBy](details), ...entry } : entry);
+            if (++checked % 25 === 0) {
+              console.error(`Checked ${checked} document(s)...`);
+            }
+          }
+        }
+        documents.sort((a, b) => (b.days_outstanding || 0) - (a.days_outstanding || 0));
         
-        if (parsed.options.summary) {
-          console.log(`Document sent successfully!`);
-          console.log(`  Document ID: ${documentId}`);
-          if (result.status) {
-            console.log(`  Status: ${STATUS_LABELS[result.status] || result.status}`);
+        const result = { older_than: olderThan || null, expiring_within: expiringWithin || null, group_by: groupBy || null, total: documents.length };
+        if (groupBy) {
+          const groups = new Map();
+          for (const { group, ...doc } of documents) {
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(doc);
           }
+          result.groups = [...groups.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([group, docs]) => ({ group, documents: docs }));
         } else {
-          console.log(JSON.stringify(result, null, 2));
+          result.documents = documents;
+        }
+        
+        printResult(result, parsed.options, VIEWS.stale);
+        if (parsed.options['fail-if-any'] && documents.length > 0) {
+          process.exit(EXIT_CODES.STALE);
+        }
+        break;
+      }
+      
+      case 'report': {
+        const groupBy = parsed.options['group-by'];
+        if (groupBy && !REPORT_GROUPS[groupBy]) {
+          console.error(`Error: --group-by must be one of: ${Object.keys(REPORT_GROUPS).join(', ')}`);
+          process.exit(1);
         }
+        const params = buildListParams(parsed.options);
+        delete params.page;
+        
+        // The list endpoint has no totals, so each document's details are joined in
+        const report = createPipelineReport(groupBy);
+        let loaded = 0;
+        for (const doc of paginate(page => client.listDocuments(page), params, { limit: parsed.options.limit })) {
+          report.add(client.getDocumentDetails(doc.id));
+          if (++loaded % 25 === 0) {
+            console.error(`Loaded ${loaded} document(s)...`);
+          }
+        }
+        
+        printResult({ group_by: groupBy || null, filters: params, groups: report.rows() }, parsed.options, VIEWS.report);
         break;
       }
       
@@ -798,8 +5558,17 @@ function main() {
     }
     
   } catch (error) {
-    if (parsed.options.summary) {
+    if (!['json', 'ndjson'].includes(parsed.options.format)) {
       console.error(`PandaDoc Error: ${error.message}`);
+      if (error.status) {
+        console.error(`  Status: ${error.status}${error.type ? ` (${error.type})` : ''}`);
+      }
+      if (error.path) {
+        console.error(`  Request: ${error.method} ${error.path}`);
+      }
+      if (error.requestId) {
+        console.error(`  Request ID: ${error.requestId}`);
+      }
       if (process.env.DEBUG) {
         console.error('Stack trace:', error.stack);
       }
@@ -807,10 +5576,14 @@ function main() {
       console.error(JSON.stringify({
         error: error.message,
         status: error.status,
+        type: error.type,
+        method: error.method,
+        path: error.path,
+        request_id: error.requestId,
         data: error.data
       }, null, 2));
     }
-    process.exit(1);
+    process.exit(error.exitCode || EXIT_CODES.ERROR);
   }
 }
 